@@ -1,162 +1,745 @@
-class HybridCache {
+import { CacheEventEmitter } from './cache-metrics.js';
+
+// One SIGTERM listener for every cache; the signal is re-raised only if nothing else handles it
+const exitSnapshots = new Set();
+
+function onTerminate() {
+  const pending = Array.from(exitSnapshots, cache =>
+    cache.snapshot().catch(error => console.warn('Cache snapshot failed:', error))
+  );
+  exitSnapshots.clear();
+  
+  Promise.all(pending).then(() => {
+    if (process.listenerCount('SIGTERM') === 0) {
+      process.kill(process.pid, 'SIGTERM');
+    }
+  });
+}
+
+function registerExitSnapshot(cache) {
+  if (exitSnapshots.size === 0) {
+    process.once('SIGTERM', onTerminate);
+  }
+  exitSnapshots.add(cache);
+}
+
+function unregisterExitSnapshot(cache) {
+  if (exitSnapshots.delete(cache) && exitSnapshots.size === 0) {
+    process.off('SIGTERM', onTerminate);
+  }
+}
+
+class HybridCache extends CacheEventEmitter {
   constructor(options = {}) {
+    super();
     this.memoryCache = new Map();
     this.redisClient = options.redisClient || null;
+    this.serializer = options.serializer || new JSONCodec();
+    this.codec = options.codec || this.createCodec(options);
     this.defaultTTL = options.defaultTTL || 300000;
     this.memoryLimit = options.memoryLimit || 100;
+    this.maxBytes = options.maxBytes || Infinity;
+    this.memoryBytes = 0;
     this.hitCounter = new Map();
+    this.tagIndex = new Map();
+    this.evictionPolicy = this.createEvictionPolicy(options.evictionPolicy);
+    this.tiers = this.createTiers(options);
+    this.pendingWrites = new Set();
+    this.loading = new Map();
     this.stats = {
       hits: 0,
       misses: 0,
       memoryHits: 0,
-      redisHits: 0
+      redisHits: 0,
+      tierHits: {},
+      evictions: 0,
+      expirations: 0
+    };
+
+    this.coherence = options.coherence || 'invalidate';
+    this.bus = options.invalidationBus || null;
+    if (this.bus) {
+      this.unsubscribeBus = this.bus.subscribe(message => this.handleBusMessage(message));
+    }
+
+    const sweepInterval = options.sweepInterval ?? 60000;
+    if (sweepInterval > 0) {
+      this.sweepTimer = setInterval(() => this.sweepExpired(), sweepInterval);
+      this.sweepTimer.unref?.();
+    }
+
+    this.snapshotPath = options.snapshotPath || null;
+    if (this.snapshotPath) {
+      this.restoring = options.restoreOnStart === false
+        ? Promise.resolve(0)
+        : this.restore().catch(error => {
+          console.warn('Cache snapshot restore failed:', error);
+          return 0;
+        });
+      this.startAutoSnapshots(options);
+    }
+  }
+
+  createCodec(options) {
+    return new CodecPipeline({
+      serializer: this.serializer,
+      compression: options.compression ? new CompressionCodec(options.compression) : null,
+      encryption: options.encryption ? new EncryptionCodec(options.encryption) : null
+    });
+  }
+
+  createEvictionPolicy(policy = 'lru') {
+    if (typeof policy === 'object') return policy;
+    
+    const policies = {
+      'lru': () => new LRUPolicy(),
+      'lfu': () => new LFUPolicy(this.hitCounter),
+      'arc': () => new ARCPolicy(this.memoryLimit)
     };
+    
+    if (!policies[policy]) {
+      throw new Error(`Unknown eviction policy: ${policy}`);
+    }
+    
+    return policies[policy]();
+  }
+
+  // A redisClient is appended as the outermost tier
+  createTiers(options) {
+    const tiers = (options.tiers || []).map(tier =>
+      tier instanceof StorageAdapter ? { adapter: tier } : tier
+    );
+
+    if (this.redisClient) {
+      tiers.push({
+        adapter: new RedisAdapter(this.redisClient, {
+          codec: this.codec,
+          namespace: options.namespace
+        })
+      });
+    }
+
+    return tiers.map(tier => ({
+      name: tier.name || tier.adapter.name,
+      adapter: tier.adapter,
+      writeMode: tier.writeMode || 'through',
+      promote: tier.promote !== false
+    }));
   }
 
   async get(key, options = {}) {
-    const { skipMemory = false, skipRedis = false } = options;
+    const { skipMemory = false } = options;
     
     if (!skipMemory) {
+      const started = performance.now();
       const memoryResult = this.getFromMemory(key);
+      this.recordLatency('memory', 'get', started);
+      
       if (memoryResult !== null) {
         this.stats.hits++;
         this.stats.memoryHits++;
         this.recordHit(key);
+        this.emit('hit', { key, tier: 'memory' });
         return memoryResult;
       }
     }
 
-    if (this.redisClient && !skipRedis) {
+    const skipped = this.getSkippedTiers(options);
+
+    for (let i = 0; i < this.tiers.length; i++) {
+      const tier = this.tiers[i];
+      if (skipped.includes(tier.name)) continue;
+
+      const started = performance.now();
       try {
-        const redisResult = await this.getFromRedis(key);
-        if (redisResult !== null) {
+        const result = await tier.adapter.get(key);
+        this.recordLatency(tier.name, 'get', started);
+        
+        if (result !== null) {
           this.stats.hits++;
-          this.stats.redisHits++;
+          this.recordTierHit(tier.name);
           this.recordHit(key);
+          this.emit('hit', { key, tier: tier.name });
           
-          this.setToMemory(key, redisResult, options.ttl);
-          return redisResult;
+          await this.promote(key, result, i, options);
+          return result;
         }
       } catch (error) {
-        console.warn('Redis cache failed, falling back:', error);
+        console.warn(`${tier.name} cache failed, falling back:`, error);
+        this.emit('error', { key, tier: tier.name, operation: 'get', error });
       }
     }
 
     this.stats.misses++;
+    this.emit('miss', { key });
     return null;
   }
 
   async set(key, value, options = {}) {
     const ttl = options.ttl || this.defaultTTL;
     const priority = options.priority || 1;
+    const tags = options.tags || [];
+    const skipped = this.getSkippedTiers(options);
     
-    this.setToMemory(key, value, ttl, priority);
+    const started = performance.now();
+    this.setToMemory(key, value, ttl, priority, tags);
+    this.recordLatency('memory', 'set', started);
+    this.emit('set', { key, ttl, tags });
     
-    if (this.redisClient) {
-      try {
-        await this.setToRedis(key, value, ttl);
-      } catch (error) {
-        console.warn('Redis set failed:', error);
+    await Promise.all(
+      this.tiers
+        .filter(tier => !skipped.includes(tier.name))
+        .map(tier => this.writeToTier(tier, key, value, ttl, tags))
+    );
+    
+    // broadcast: false keeps the value off the bus; peers still drop their copy
+    if (this.bus) {
+      const payload = { key, ttl, priority, tags };
+      if (this.coherence === 'update' && options.broadcast !== false) {
+        payload.value = value;
       }
+      this.bus.publish('set', payload);
     }
     
     return true;
   }
 
+  // Values are wrapped as { value, delta, expiresAt }, so use getOrSet for both reads and writes
+  async getOrSet(key, loader, options = {}) {
+    const { beta = 1 } = options;
+    const cached = await this.get(key, options);
+    
+    if (cached && !this.shouldRefresh(cached, beta)) {
+      return cached.value;
+    }
+    
+    if (!this.loading.has(key)) {
+      const load = this.loadWithLock(key, loader, cached, options)
+        .finally(() => this.loading.delete(key));
+      this.loading.set(key, load);
+      
+      if (cached) {
+        load.catch(error => {
+          console.warn(`Background refresh failed for ${key}:`, error);
+        });
+      }
+    }
+    
+    return cached ? cached.value : this.loading.get(key);
+  }
+
+  // XFetch: slow loaders close to expiry are likelier to refresh early
+  shouldRefresh(cached, beta) {
+    const now = Date.now();
+    if (now >= cached.expiresAt) return true;
+    
+    return now - cached.delta * beta * Math.log(Math.random()) >= cached.expiresAt;
+  }
+
+  getLockTier() {
+    return [...this.tiers].reverse().find(tier => tier.adapter.supportsLocks) || null;
+  }
+
+  async loadWithLock(key, loader, cached, options) {
+    const { lockTTL = 10000 } = options;
+    const lockTier = this.getLockTier();
+    
+    if (!lockTier) {
+      return this.runLoader(key, loader, options, null);
+    }
+    
+    const token = await lockTier.adapter.acquireLock(key, lockTTL);
+    
+    if (token !== null) {
+      try {
+        return await this.runLoader(key, loader, options, { tier: lockTier, token });
+      } finally {
+        await lockTier.adapter.releaseLock(key, token).catch(error => {
+          console.warn(`Releasing lock for ${key} failed:`, error);
+        });
+      }
+    }
+    
+    if (cached) {
+      return cached.value;
+    }
+    
+    const loaded = await this.waitForValue(key, lockTier, options);
+    return loaded !== null ? loaded.value : this.runLoader(key, loader, options, null);
+  }
+
+  async runLoader(key, loader, options, lock) {
+    const { ttl = this.defaultTTL, staleTTL = ttl } = options;
+    const started = Date.now();
+    const value = await loader();
+    const now = Date.now();
+    const record = { value, delta: now - started, expiresAt: now + ttl };
+    const setOptions = { ...options, ttl: ttl + staleTTL };
+    
+    // The lock tier refuses the write if a newer lock holder already wrote
+    if (lock) {
+      if (!(await lock.tier.adapter.setFenced(key, record, setOptions.ttl, lock.token))) {
+        console.warn(`A newer loader already cached ${key}, discarding this result`);
+        return value;
+      }
+      
+      if (options.tags?.length) {
+        await lock.tier.adapter.tag(key, options.tags, setOptions.ttl);
+      }
+      setOptions.skipTiers = [...this.getSkippedTiers(options), lock.tier.name];
+    }
+    
+    await this.set(key, record, setOptions);
+    
+    return value;
+  }
+
+  async waitForValue(key, lockTier, options) {
+    const { lockTTL = 10000, lockPollInterval = 50, ttl = this.defaultTTL } = options;
+    const deadline = Date.now() + lockTTL;
+    
+    while (Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, lockPollInterval));
+      
+      const loaded = await lockTier.adapter.get(key);
+      if (loaded !== null) {
+        this.setToMemory(key, loaded, ttl);
+        return loaded;
+      }
+    }
+    
+    return null;
+  }
+
+  getSkippedTiers(options) {
+    const skipped = [...(options.skipTiers || [])];
+    if (options.skipRedis) skipped.push('redis');
+    return skipped;
+  }
+
+  async promote(key, value, tierIndex, options = {}) {
+    const ttl = options.ttl || this.defaultTTL;
+    
+    this.setToMemory(key, value, ttl);
+    
+    await Promise.all(
+      this.tiers
+        .slice(0, tierIndex)
+        .filter(tier => tier.promote)
+        .map(tier => this.writeToTier(tier, key, value, ttl))
+    );
+  }
+
+  writeToTier(tier, key, value, ttl, tags = []) {
+    const started = performance.now();
+    const write = tier.adapter.set(key, value, ttl)
+      .then(() => tags.length > 0 && tier.adapter.tag(key, tags, ttl))
+      .then(() => this.recordLatency(tier.name, 'set', started))
+      .catch(error => {
+        console.warn(`${tier.name} set failed:`, error);
+        this.emit('error', { key, tier: tier.name, operation: 'set', error });
+      });
+
+    if (tier.writeMode !== 'behind') {
+      return write;
+    }
+
+    this.pendingWrites.add(write);
+    write.finally(() => this.pendingWrites.delete(write));
+    return undefined;
+  }
+
+  async flush() {
+    await Promise.all(this.pendingWrites);
+  }
+
   getFromMemory(key) {
     const item = this.memoryCache.get(key);
     
     if (!item) return null;
     
     if (Date.now() > item.expiry) {
-      this.memoryCache.delete(key);
+      this.removeFromMemory(key);
+      this.stats.expirations++;
+      this.emit('expire', { key, tier: 'memory' });
       return null;
     }
     
     item.lastAccessed = Date.now();
+    this.evictionPolicy.onAccess(key);
     return item.value;
   }
 
-  setToMemory(key, value, ttl, priority = 1) {
-    if (this.memoryCache.size >= this.memoryLimit) {
-      this.evictFromMemory();
-    }
+  setToMemory(key, value, ttl, priority = 1, tags = []) {
+    const size = this.calculateSize(value);
+    const existed = this.removeFromMemory(key);
+    
+    // A value larger than the whole budget stays in the outer tiers only
+    if (size > this.maxBytes) return false;
+    
+    this.evictFromMemory(size);
     
     this.memoryCache.set(key, {
       value,
       expiry: Date.now() + ttl,
       lastAccessed: Date.now(),
       priority,
-      size: this.calculateSize(value)
+      size,
+      tags
+    });
+    this.memoryBytes += size;
+    
+    tags.forEach(tag => {
+      if (!this.tagIndex.has(tag)) {
+        this.tagIndex.set(tag, new Set());
+      }
+      this.tagIndex.get(tag).add(key);
     });
+    
+    this.evictionPolicy.onInsert(key);
+    if (existed) {
+      this.evictionPolicy.onAccess(key);
+    }
+    
+    return true;
+  }
+
+  evictFromMemory(incomingSize = 0) {
+    while (
+      this.memoryCache.size > 0 &&
+      (this.memoryCache.size >= this.memoryLimit || this.memoryBytes + incomingSize > this.maxBytes)
+    ) {
+      const key = this.evictionPolicy.evict();
+      if (key === undefined) break;
+      
+      const size = this.memoryCache.get(key)?.size || 0;
+      this.removeFromMemory(key, { evicted: true });
+      this.stats.evictions++;
+      this.emit('evict', { key, tier: 'memory', size });
+    }
   }
 
-  async getFromRedis(key) {
-    if (!this.redisClient) return null;
+  removeFromMemory(key, { evicted = false } = {}) {
+    const item = this.memoryCache.get(key);
+    if (!item) return false;
     
-    const value = await this.redisClient.get(key);
-    if (!value) return null;
+    this.memoryCache.delete(key);
+    this.memoryBytes -= item.size;
     
-    try {
-      return JSON.parse(value);
-    } catch {
-      return value;
+    item.tags.forEach(tag => {
+      const keys = this.tagIndex.get(tag);
+      if (!keys) return;
+      
+      keys.delete(key);
+      if (keys.size === 0) {
+        this.tagIndex.delete(tag);
+      }
+    });
+    
+    if (!evicted) {
+      this.evictionPolicy.onRemove(key);
+    }
+    
+    return true;
+  }
+
+  sweepExpired() {
+    const now = Date.now();
+    let swept = 0;
+    
+    for (const [key, item] of this.memoryCache) {
+      if (now > item.expiry) {
+        this.removeFromMemory(key);
+        this.emit('expire', { key, tier: 'memory' });
+        swept++;
+      }
+    }
+    
+    this.stats.expirations += swept;
+    return swept;
+  }
+
+  destroy() {
+    clearInterval(this.sweepTimer);
+    clearInterval(this.snapshotTimer);
+    if (this.snapshotOnExit) {
+      unregisterExitSnapshot(this);
+    }
+    if (this.unsubscribeBus) {
+      this.unsubscribeBus();
     }
   }
 
-  async setToRedis(key, value, ttl) {
-    if (!this.redisClient) return;
+  startAutoSnapshots({ snapshotInterval = 0, snapshotOnExit = true }) {
+    if (snapshotInterval > 0) {
+      this.snapshotTimer = setInterval(() => {
+        this.snapshot().catch(error => console.warn('Cache snapshot failed:', error));
+      }, snapshotInterval);
+      this.snapshotTimer.unref?.();
+    }
     
-    const serialized = typeof value === 'string' ? value : JSON.stringify(value);
-    await this.redisClient.setex(key, Math.ceil(ttl / 1000), serialized);
+    this.snapshotOnExit = snapshotOnExit && typeof process !== 'undefined' && Boolean(process.once);
+    if (this.snapshotOnExit) {
+      registerExitSnapshot(this);
+    }
   }
 
-  evictFromMemory() {
-    const entries = Array.from(this.memoryCache.entries());
+  // A header line, then one "<sha256> <payload>" record per entry
+  async snapshot(path = this.snapshotPath) {
+    const { promises: fs } = await import('fs');
+    const { dirname } = await import('path');
+    const { createHash } = await import('crypto');
+    const now = Date.now();
+    const lines = [JSON.stringify({ format: 'hybrid-cache-snapshot', version: 1, createdAt: now })];
     
-    entries.sort((a, b) => {
-      const scoreA = a[1].lastAccessed * a[1].priority;
-      const scoreB = b[1].lastAccessed * b[1].priority;
-      return scoreA - scoreB;
-    });
+    for (const [key, item] of this.memoryCache) {
+      if (item.expiry <= now) continue;
+      
+      const payload = await this.codec.encode({
+        key,
+        value: item.value,
+        expiry: item.expiry,
+        priority: item.priority,
+        hits: this.hitCounter.get(key) || 0,
+        tags: item.tags
+      });
+      const checksum = createHash('sha256').update(payload).digest('hex');
+      lines.push(`${checksum} ${payload}`);
+    }
+    
+    const tempFile = `${path}.${process.pid}.tmp`;
+    await fs.mkdir(dirname(path), { recursive: true });
+    await fs.writeFile(tempFile, `${lines.join('\n')}\n`);
+    await fs.rename(tempFile, path);
+    
+    this.emit('snapshot', { path, entries: lines.length - 1 });
+    return lines.length - 1;
+  }
+
+  // Keys already in memory are newer than the snapshot and are kept.
+  async restore(path = this.snapshotPath) {
+    const { promises: fs } = await import('fs');
+    const { createHash } = await import('crypto');
+    let contents;
+    
+    try {
+      contents = await fs.readFile(path, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return 0;
+      throw error;
+    }
+    
+    const [header, ...records] = contents.split('\n').filter(Boolean);
+    let meta = null;
+    try {
+      meta = JSON.parse(header);
+    } catch {
+      // Reported below
+    }
+    
+    if (meta?.format !== 'hybrid-cache-snapshot' || meta.version !== 1) {
+      console.warn(`Ignoring cache snapshot ${path}: unknown format`);
+      return 0;
+    }
     
-    const evictCount = Math.max(1, Math.floor(this.memoryLimit * 0.1));
-    for (let i = 0; i < evictCount; i++) {
-      this.memoryCache.delete(entries[i][0]);
+    let restored = 0;
+    let skipped = 0;
+    
+    for (const line of records) {
+      const separator = line.indexOf(' ');
+      const checksum = line.slice(0, separator);
+      const payload = line.slice(separator + 1);
+      
+      if (separator < 0 || createHash('sha256').update(payload).digest('hex') !== checksum) {
+        skipped++;
+        continue;
+      }
+      
+      let record;
+      try {
+        record = await this.codec.decode(payload);
+      } catch {
+        skipped++;
+        continue;
+      }
+      
+      const ttl = record?.expiry - Date.now();
+      if (typeof record?.key !== 'string' || !(ttl > 0) || this.memoryCache.has(record.key)) {
+        skipped++;
+        continue;
+      }
+      
+      if (this.setToMemory(record.key, record.value, ttl, record.priority, record.tags || [])) {
+        this.hitCounter.set(record.key, record.hits || 0);
+        restored++;
+      }
+    }
+    
+    this.emit('restore', { path, restored, skipped });
+    return restored;
+  }
+
+  // Peers already wrote the shared tiers, so only memory is touched here
+  handleBusMessage({ type, payload }) {
+    switch (type) {
+      case 'set':
+        if (payload.value !== undefined) {
+          this.setToMemory(payload.key, payload.value, payload.ttl, payload.priority, payload.tags);
+        } else {
+          this.removeFromMemory(payload.key);
+        }
+        break;
+      case 'del':
+        this.removeFromMemory(payload.key);
+        this.emit('delete', { key: payload.key, remote: true });
+        break;
+      case 'invalidate':
+        payload.keys.forEach(key => {
+          this.removeFromMemory(key);
+          this.emit('delete', { key, remote: true });
+        });
+        break;
+      case 'clear':
+        this.clearMemory();
+        break;
+      case 'clear-prefix':
+        Array.from(this.memoryCache.keys())
+          .filter(key => key.startsWith(payload.prefix))
+          .forEach(key => this.removeFromMemory(key));
+        break;
+      case 'namespace-version':
+        this.clearMemory();
+        this.tiers
+          .filter(tier => typeof tier.adapter.refreshVersion === 'function')
+          .forEach(tier => tier.adapter.refreshVersion());
+        break;
     }
   }
 
+  recordLatency(tier, operation, started) {
+    this.emit('latency', { tier, operation, duration: performance.now() - started });
+  }
+
   recordHit(key) {
     const count = this.hitCounter.get(key) || 0;
     this.hitCounter.set(key, count + 1);
   }
 
+  recordTierHit(name) {
+    this.stats.tierHits[name] = (this.stats.tierHits[name] || 0) + 1;
+    if (name === 'redis') {
+      this.stats.redisHits++;
+    }
+  }
+
   calculateSize(obj) {
-    return new Blob([JSON.stringify(obj)]).size;
+    return new Blob([this.serializer.encode(obj)]).size;
   }
 
   async del(key) {
-    this.memoryCache.delete(key);
+    this.removeFromMemory(key);
     
-    if (this.redisClient) {
-      await this.redisClient.del(key);
+    // Let queued write-behind sets land first so they cannot resurrect the key
+    await this.flush();
+    await Promise.all(this.tiers.map(tier => tier.adapter.del(key)));
+    this.emit('delete', { key });
+    
+    if (this.bus) {
+      this.bus.publish('del', { key });
     }
   }
 
-  async clear() {
+  // Tiers keep their own tag indexes, which still list keys evicted from memory
+  async invalidateTags(tags) {
+    const keys = new Set();
+    
+    tags.forEach(tag => {
+      (this.tagIndex.get(tag) || []).forEach(key => keys.add(key));
+    });
+    
+    await this.flush();
+    
+    const tierKeys = await Promise.all(
+      this.tiers.map(tier =>
+        tier.adapter.getTaggedKeys(tags).catch(error => {
+          console.warn(`${tier.name} tag lookup failed:`, error);
+          return [];
+        })
+      )
+    );
+    tierKeys.flat().forEach(key => keys.add(key));
+    
+    keys.forEach(key => this.removeFromMemory(key));
+    
+    await Promise.all(this.tiers.map(async tier => {
+      await Promise.all([...keys].map(key => tier.adapter.del(key)));
+      await tier.adapter.removeTags(tags);
+    }));
+    keys.forEach(key => this.emit('delete', { key }));
+    
+    if (this.bus && keys.size > 0) {
+      this.bus.publish('invalidate', { keys: [...keys] });
+    }
+    
+    return keys.size;
+  }
+
+  clearMemory() {
     this.memoryCache.clear();
+    this.memoryBytes = 0;
+    this.tagIndex.clear();
+    this.evictionPolicy.clear();
     this.hitCounter.clear();
+  }
+
+  async clear() {
+    this.clearMemory();
     
-    if (this.redisClient) {
-      await this.redisClient.flushdb();
+    await this.flush();
+    await Promise.all(this.tiers.map(tier => tier.adapter.clear()));
+    
+    if (this.bus) {
+      this.bus.publish('clear');
+    }
+  }
+
+  async clearPrefix(prefix) {
+    Array.from(this.memoryCache.keys())
+      .filter(key => key.startsWith(prefix))
+      .forEach(key => this.removeFromMemory(key));
+    
+    await this.flush();
+    await Promise.all(this.tiers.map(tier => tier.adapter.clearPrefix(prefix)));
+    
+    if (this.bus) {
+      this.bus.publish('clear-prefix', { prefix });
+    }
+  }
+
+  // Retires the namespace without deleting it; peers re-read the version
+  async bumpNamespaceVersion() {
+    this.clearMemory();
+    
+    const versions = await Promise.all(this.tiers
+      .filter(tier => typeof tier.adapter.bumpVersion === 'function')
+      .map(tier => tier.adapter.bumpVersion()));
+    
+    if (this.bus) {
+      this.bus.publish('namespace-version');
     }
+    
+    return versions;
   }
 
   getStats() {
     return {
       ...this.stats,
-      hitRate: this.stats.hits / (this.stats.hits + this.stats.misses),
+      hitRate: this.stats.hits + this.stats.misses > 0
+        ? this.stats.hits / (this.stats.hits + this.stats.misses)
+        : 0,
       memorySize: this.memoryCache.size,
+      memoryBytes: this.memoryBytes,
+      tiers: this.tiers.map(tier => ({ name: tier.name, writeMode: tier.writeMode })),
       topHits: Array.from(this.hitCounter.entries())
         .sort((a, b) => b[1] - a[1])
         .slice(0, 10)
@@ -164,187 +747,2761 @@ class HybridCache {
   }
 }
 
-class IntelligentAPICache {
+class IntelligentAPICache extends CacheEventEmitter {
   constructor(options = {}) {
+    super();
     this.cache = new HybridCache(options);
     this.pendingRequests = new Map();
-    this.circuitBreaker = new CircuitBreaker();
-    this.requestQueue = new Map();
+    this.circuitBreaker = options.circuitBreaker || new CircuitBreaker(options.circuitBreakerOptions);
+    this.circuitBreaker.onStateChange(change => {
+      this.emit('breaker-state', change);
+      if (change.to === 'OPEN') {
+        this.emit('breaker-open', change);
+      }
+    });
+    this.httpSemantics = options.httpSemantics || false;
+    this.validatorRetention = options.validatorRetention || 3600000;
+    this.varyBy = options.varyBy ? options.varyBy.map(name => name.toLowerCase()) : null;
+    this.credentialHeaders = (options.credentialHeaders || ['authorization', 'cookie', 'x-api-key'])
+      .map(name => name.toLowerCase());
+    // Nodes sharing a remote tier need the same secret to derive the same partitions
+    this.partitionSecret = options.partitionSecret || this.randomSecret();
+    this.partitionKey = null;
+    this.ignoreParams = (options.ignoreParams || []).map(pattern => this.toParamMatcher(pattern));
+    this.keyFn = options.keyFn || null;
+    this.timeout = options.timeout ?? 30000;
+    this.retryOn = options.retryOn || [408, 429, 502, 503, 504, 'network'];
+    this.retryDelay = options.retryDelay || 300;
+    this.maxRetryDelay = options.maxRetryDelay || 10000;
+    this.graphql = options.graphql || false;
+    this.normalize = options.normalize || false;
+    this.graphqlNormalizer = new GraphQLNormalizer();
+    this.entities = new Map();
+    this.entityPruneAt = 1000;
+    this.optimisticStates = new Map();
+    this.pageRequests = new Map();
+    this.mutationRules = Object.entries(options.mutationRules || {}).map(([route, targets]) => ({
+      ...this.compileRoute(route),
+      targets: [].concat(targets)
+    }));
+    this.routeTargets = this.mutationRules
+      .flatMap(rule => rule.targets)
+      .map(target => this.compileTarget(target));
+    this.tagAllRoutes = options.tagAllRoutes || false;
   }
 
   async cachedFetch(url, options = {}) {
-    const {
-      ttl = 300000,
-      forceRefresh = false,
-      deduplicate = true,
-      fallback = null,
-      validate = null
-    } = options;
+    const { responseType = 'json' } = options;
+    const data = await this.getCachedData(url, options);
+    return this.toResult(data, responseType);
+  }
 
-    const cacheKey = this.generateCacheKey(url, options);
+  async getCachedData(url, options = {}) {
+    const { forceRefresh = false, validate = null } = options;
     
-    if (!forceRefresh) {
-      const cached = await this.cache.get(cacheKey);
-      if (cached && (!validate || validate(cached))) {
-        return cached;
-      }
+    const operation = this.getGraphQLOperation(options);
+    if (operation && operation.operationType !== 'query') {
+      return this.sendUncached(url, options);
     }
-
-    if (deduplicate && this.pendingRequests.has(cacheKey)) {
-      return new Promise((resolve, reject) => {
-        const queue = this.requestQueue.get(cacheKey) || [];
-        queue.push({ resolve, reject });
-        this.requestQueue.set(cacheKey, queue);
-      });
+    
+    // GraphQL queries travel as POST but are reads; anything else unsafe is a mutation
+    if (!operation && !this.isSafeMethod(options.method)) {
+      return this.mutate(url, options);
     }
 
-    this.pendingRequests.set(cacheKey, true);
-
-    try {
-      if (!this.circuitBreaker.canRequest(url)) {
-        throw new Error('Circuit breaker open');
+    const cacheKey = await this.generateCacheKey(url, options);
+    
+    const cached = await this.cache.get(cacheKey);
+    const entry = this.isUsableEntry(cached, options) && (!validate || validate(cached.data)) ? cached : null;
+    
+    if (entry && !forceRefresh) {
+      const now = Date.now();
+      
+      if (now <= entry.freshUntil) {
+        this.emit('hit', { key: cacheKey, url });
+        return this.readEntryData(entry, options);
       }
-
-      const response = await fetch(url, options);
       
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}`);
+      if (now <= entry.staleUntil) {
+        this.emit('hit', { key: cacheKey, url, stale: true });
+        this.revalidate(url, options, cacheKey, entry);
+        return this.readEntryData(entry, options);
       }
+    }
+
+    this.emit('miss', { key: cacheKey, url });
+    return this.fetchAndCache(url, options, cacheKey, entry);
+  }
 
-      const data = await response.json();
+  // Only network errors, timeouts and 5xx responses count against the breaker
+  async requestUpstream(url, options, read) {
+    const {
+      retries = 0,
+      retryOn = this.retryOn,
+      timeout = this.timeout,
+      signal
+    } = options;
+    
+    for (let attempt = 0; ; attempt++) {
+      let result = null;
+      let failure = null;
       
-      await this.cache.set(cacheKey, data, { ttl });
+      try {
+        result = await this.attemptRequest(url, options, timeout, read);
+      } catch (error) {
+        if (signal?.aborted) {
+          this.circuitBreaker.releaseProbe(url);
+          throw error;
+        }
+        failure = error;
+      }
       
-      this.processQueue(cacheKey, data);
+      if (failure) {
+        this.circuitBreaker.recordFailure(url);
+      } else if (result.response.status >= 500) {
+        this.circuitBreaker.recordFailure(url);
+      } else {
+        this.circuitBreaker.recordSuccess(url);
+      }
       
-      return data;
-    } catch (error) {
-      this.circuitBreaker.recordFailure(url);
-      
-      if (fallback === 'stale') {
-        const stale = await this.cache.get(cacheKey, { skipRedis: true });
-        if (stale) {
-          console.warn('Returning stale data due to error:', error.message);
-          this.processQueue(cacheKey, stale);
-          return stale;
-        }
+      const retryable = failure ? retryOn.includes('network') : retryOn.includes(result.response.status);
+      const wait = this.getRetryDelay(attempt, result?.response);
+      
+      if (!retryable || attempt >= retries || wait === null) {
+        if (failure) throw failure;
+        return result;
       }
       
-      this.processQueue(cacheKey, null, error);
-      throw error;
-    } finally {
-      this.pendingRequests.delete(cacheKey);
+      await this.delay(wait, signal);
+      
+      if (!this.circuitBreaker.canRequest(url)) {
+        if (failure) throw failure;
+        return result;
+      }
     }
   }
 
-  processQueue(cacheKey, data, error = null) {
-    const queue = this.requestQueue.get(cacheKey) || [];
-    
-    queue.forEach(({ resolve, reject }) => {
-      if (error) {
-        reject(error);
+  async attemptRequest(url, options, timeout, read) {
+    const { signal } = options;
+    if (!timeout) {
+      const response = await fetch(url, options);
+      return { response, data: await read(response) };
+    }
+    
+    const controller = new AbortController();
+    const forwardAbort = () => controller.abort(signal.reason);
+    signal?.addEventListener('abort', forwardAbort, { once: true });
+    const timer = setTimeout(() => {
+      controller.abort(new DOMException(`Request timed out after ${timeout}ms`, 'TimeoutError'));
+    }, timeout);
+    
+    try {
+      const response = await fetch(url, { ...options, signal: controller.signal });
+      return { response, data: await read(response) };
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', forwardAbort);
+    }
+  }
+
+  // Null when Retry-After exceeds maxRetryDelay
+  getRetryDelay(attempt, response) {
+    const retryAfter = response?.headers.get('retry-after');
+    
+    if (retryAfter) {
+      const seconds = Number(retryAfter);
+      const wait = Number.isNaN(seconds) ? Date.parse(retryAfter) - Date.now() : seconds * 1000;
+      
+      if (!Number.isNaN(wait)) {
+        return wait > this.maxRetryDelay ? null : Math.max(0, wait);
+      }
+    }
+    
+    const ceiling = Math.min(this.maxRetryDelay, this.retryDelay * 2 ** attempt);
+    return Math.random() * ceiling;
+  }
+
+  delay(ms, signal) {
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(this.getAbortReason(signal));
+      };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  getAbortReason(signal) {
+    return signal.reason ?? new DOMException('The operation was aborted', 'AbortError');
+  }
+
+  revalidate(url, options, cacheKey, entry) {
+    if (this.pendingRequests.has(cacheKey)) return;
+    
+    this.emit('revalidate', { key: cacheKey, url });
+    
+    // The caller already has its data, so its signal must not cancel this
+    this.fetchAndCache(url, { ...options, signal: null }, cacheKey, entry).catch(error => {
+      console.warn(`Background revalidation failed for ${url}:`, error.message);
+    });
+  }
+
+  async fetchAndCache(url, options, cacheKey, entry) {
+    const { deduplicate = true, signal = null } = options;
+    
+    if (signal?.aborted) {
+      throw this.getAbortReason(signal);
+    }
+    
+    let pending = deduplicate ? this.pendingRequests.get(cacheKey) : null;
+    if (!pending) {
+      pending = this.startRequest(url, options, cacheKey, entry);
+    }
+    
+    return this.joinRequest(pending, signal);
+  }
+
+  // Aborted only once every deduplicated caller has aborted
+  startRequest(url, options, cacheKey, entry) {
+    const controller = new AbortController();
+    const pending = { controller, cacheKey, waiters: 0, promise: null };
+    
+    pending.promise = this.performFetch(url, options, cacheKey, entry, controller.signal)
+      .finally(() => {
+        if (this.pendingRequests.get(cacheKey) === pending) {
+          this.pendingRequests.delete(cacheKey);
+        }
+      });
+    // For when every waiter has aborted and nobody observes the failure
+    pending.promise.catch(() => {});
+    
+    if (!this.pendingRequests.has(cacheKey)) {
+      this.pendingRequests.set(cacheKey, pending);
+    }
+    
+    return pending;
+  }
+
+  joinRequest(pending, signal) {
+    if (signal?.aborted) {
+      return Promise.reject(this.getAbortReason(signal));
+    }
+    
+    pending.waiters++;
+    
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        pending.waiters--;
+        reject(this.getAbortReason(signal));
+        
+        if (pending.waiters === 0) {
+          // Later callers start a fresh request instead of joining this one
+          if (this.pendingRequests.get(pending.cacheKey) === pending) {
+            this.pendingRequests.delete(pending.cacheKey);
+          }
+          pending.controller.abort(this.getAbortReason(signal));
+        }
+      };
+      
+      signal?.addEventListener('abort', onAbort, { once: true });
+      pending.promise
+        .then(resolve, reject)
+        .finally(() => signal?.removeEventListener('abort', onAbort));
+    });
+  }
+
+  async performFetch(url, options, cacheKey, entry, signal) {
+    const {
+      fallback = null,
+      staleIfError = 0,
+      httpSemantics = this.httpSemantics
+    } = options;
+
+    try {
+      if (!this.circuitBreaker.canRequest(url)) {
+        if (!entry) {
+          throw new Error('Circuit breaker open');
+        }
+        
+        console.warn(`Circuit open for ${url}, serving cached data`);
+        return this.readEntryData(entry, options);
+      }
+
+      const requestOptions = {
+        ...options,
+        signal,
+        headers: httpSemantics && entry
+          ? this.getConditionalHeaders(options.headers, entry)
+          : options.headers
+      };
+      
+      const { response, data } = await this.requestUpstream(url, requestOptions, response =>
+        response.ok ? this.readResponse(response, options.responseType) : null
+      );
+      
+      if (response.status === 304 && entry) {
+        await this.storeEntry(cacheKey, this.createEntry(entry.data, options, response, entry), options, url);
+        this.emit('revalidate', { key: cacheKey, url, status: 304 });
+        return this.readEntryData(entry, options);
+      }
+      
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      
+      // A GraphQL response with errors is passed through but never cached
+      if (this.getGraphQLOperation(options) && data?.errors) {
+        return data;
+      }
+      
+      if (this.isNormalizing(options)) {
+        const refs = new Set();
+        const normalized = this.normalizeResponse(data, options, refs);
+        const tags = [...(options.tags || []), ...Array.from(refs, ref => `entity:${ref}`)];
+        
+        await this.storeEntry(cacheKey, this.createEntry(normalized, options, response), { ...options, tags }, url);
+      } else {
+        await this.storeEntry(cacheKey, this.createEntry(data, options, response), options, url);
+      }
+      this.emit('set', { key: cacheKey, url });
+      
+      return data;
+    } catch (error) {
+      this.emit('error', { key: cacheKey, url, operation: 'fetch', error });
+      
+      const canServeStale = fallback === 'stale' || staleIfError > 0;
+      if (!signal.aborted && canServeStale && entry && Date.now() <= entry.errorUntil) {
+        console.warn('Returning stale data due to error:', error.message);
+        return this.readEntryData(entry, options);
+      }
+      
+      throw error;
+    }
+  }
+
+  // Mutations and subscriptions are never served from cache
+  async sendUncached(url, options) {
+    if (!this.circuitBreaker.canRequest(url)) {
+      throw new Error('Circuit breaker open');
+    }
+    
+    const { response, data } = await this.requestUpstream(url, options, response =>
+      response.ok ? this.readResponse(response, options.responseType) : null
+    );
+    
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    
+    if (this.isNormalizing(options)) {
+      this.normalizeResponse(data, options, new Set());
+    }
+    
+    return data;
+  }
+
+  getGraphQLOperation(options) {
+    const { graphql = this.graphql, body } = options;
+    if (!graphql || !body) return null;
+    
+    let request;
+    try {
+      request = typeof body === 'string' ? JSON.parse(body) : body;
+    } catch {
+      return null;
+    }
+    
+    const document = this.graphqlNormalizer.normalize(request.query || '');
+    const operation = document.operations.find(candidate =>
+      !request.operationName || candidate.name === request.operationName
+    ) || { type: 'query', name: null };
+    
+    return {
+      query: document.text,
+      source: request.query || '',
+      variables: request.variables || {},
+      extensions: request.extensions || null,
+      operationName: request.operationName || operation.name,
+      operationType: operation.type
+    };
+  }
+
+  isNormalizing(options) {
+    const { normalize = this.normalize } = options;
+    return normalize && Boolean(this.getGraphQLOperation(options));
+  }
+
+  isUsableEntry(entry, options) {
+    if (!entry) return false;
+    return !this.isNormalizing(options) || !this.referencesMissingEntity(entry.data);
+  }
+
+  // Cached GraphQL data is kept normalized; fresh responses are returned as is
+  readEntryData(entry, options) {
+    return this.isNormalizing(options) ? this.denormalizeResponse(entry.data, options) : entry.data;
+  }
+
+  // Only the data member of a GraphQL response follows the selection set
+  normalizeResponse(result, options, refs) {
+    if (this.entities.size >= this.entityPruneAt) {
+      this.pruneEntities();
+    }
+    
+    if (!result || typeof result !== 'object' || !('data' in result)) {
+      return this.normalizeEntities(result, refs, null, {});
+    }
+    
+    const { selections, variables } = this.getOperationSelections(options);
+    return { ...result, data: this.normalizeEntities(result.data, refs, selections, variables) };
+  }
+
+  denormalizeResponse(result, options) {
+    if (!result || typeof result !== 'object' || !('data' in result)) {
+      return this.denormalize(result, null, {});
+    }
+    
+    const { selections, variables } = this.getOperationSelections(options);
+    return { ...result, data: this.denormalize(result.data, selections, variables) };
+  }
+
+  getOperationSelections(options) {
+    const operation = this.getGraphQLOperation(options);
+    
+    return {
+      selections: this.graphqlNormalizer.getSelections(operation.source, operation.operationName),
+      variables: operation.variables
+    };
+  }
+
+  // Fields are keyed by name and arguments, so aliases and argument variants stay apart
+  normalizeEntities(value, refs, selections = null, variables = {}) {
+    if (Array.isArray(value)) {
+      return value.map(item => this.normalizeEntities(item, refs, selections, variables));
+    }
+    
+    if (!value || typeof value !== 'object') {
+      return value;
+    }
+    
+    const fields = {};
+    Object.entries(value).forEach(([responseKey, field]) => {
+      const selection = this.graphqlNormalizer.findField(selections, responseKey);
+      const storageKey = selection
+        ? this.graphqlNormalizer.storageKey(selection, variables)
+        : responseKey;
+      
+      fields[storageKey] = this.normalizeEntities(field, refs, selection?.selections || null, variables);
+    });
+    
+    if (value.__typename && value.id !== undefined) {
+      const ref = `${value.__typename}:${value.id}`;
+      this.entities.set(ref, { ...(this.entities.get(ref) || {}), ...fields });
+      refs.add(ref);
+      return { __ref: ref };
+    }
+    
+    return fields;
+  }
+
+  denormalize(value, selections = null, variables = {}, path = new Set()) {
+    if (Array.isArray(value)) {
+      return value.map(item => this.denormalize(item, selections, variables, path));
+    }
+    
+    if (!value || typeof value !== 'object') {
+      return value;
+    }
+    
+    if (value.__ref) {
+      if (path.has(value.__ref)) return value;
+      
+      const nextPath = new Set(path).add(value.__ref);
+      return this.denormalize(this.entities.get(value.__ref), selections, variables, nextPath);
+    }
+    
+    const result = {};
+    
+    if (!selections) {
+      Object.entries(value).forEach(([name, field]) => {
+        result[name] = this.denormalize(field, null, variables, path);
+      });
+      return result;
+    }
+    
+    selections.forEach(({ responseKey }) => {
+      if (responseKey in result) return;
+      
+      const selection = this.graphqlNormalizer.findField(selections, responseKey);
+      const storageKey = this.graphqlNormalizer.storageKey(selection, variables);
+      
+      if (storageKey in value) {
+        result[responseKey] = this.denormalize(value[storageKey], selection.selections, variables, path);
+      }
+    });
+    return result;
+  }
+
+  // Drops entities that no entry in the memory tier references
+  pruneEntities() {
+    for (const ref of this.entities.keys()) {
+      if (!this.cache.tagIndex.has(`entity:${ref}`)) {
+        this.entities.delete(ref);
+      }
+    }
+    
+    this.entityPruneAt = Math.max(1000, this.entities.size * 2);
+  }
+
+  referencesMissingEntity(value) {
+    if (Array.isArray(value)) {
+      return value.some(item => this.referencesMissingEntity(item));
+    }
+    
+    if (!value || typeof value !== 'object') {
+      return false;
+    }
+    
+    if (value.__ref) {
+      return !this.entities.has(value.__ref);
+    }
+    
+    return Object.values(value).some(field => this.referencesMissingEntity(field));
+  }
+
+  createEntry(data, options = {}, response = null, previous = null) {
+    const { httpSemantics = this.httpSemantics } = options;
+    const policy = httpSemantics && response
+      ? this.getHttpCachePolicy(response, options)
+      : { store: 'shared', ...this.getOptionWindows(options) };
+    const now = Date.now();
+    const entry = {
+      data,
+      storedAt: now,
+      freshUntil: now + policy.ttl,
+      staleUntil: now + policy.ttl + policy.staleWhileRevalidate,
+      errorUntil: now + policy.ttl + policy.staleIfError,
+      store: policy.store
+    };
+    
+    if (httpSemantics && response) {
+      entry.etag = response.headers.get('etag') || previous?.etag || null;
+      entry.lastModified = response.headers.get('last-modified') || previous?.lastModified || null;
+    }
+    
+    return entry;
+  }
+
+  getOptionWindows(options) {
+    const { ttl = 300000, staleWhileRevalidate = 0, staleIfError = 0 } = options;
+    return { ttl, staleWhileRevalidate, staleIfError };
+  }
+
+  getHttpCachePolicy(response, options) {
+    const directives = this.parseCacheControl(response.headers.get('cache-control'));
+    const defaults = this.getOptionWindows(options);
+    const age = Number(response.headers.get('age')) || 0;
+    
+    let lifetime = null;
+    if (directives['max-age'] !== undefined) {
+      lifetime = directives['max-age'];
+    } else if (response.headers.has('expires')) {
+      const date = Date.parse(response.headers.get('date')) || Date.now();
+      const expires = Date.parse(response.headers.get('expires'));
+      lifetime = Number.isNaN(expires) ? 0 : (expires - date) / 1000;
+    }
+    
+    let ttl = lifetime === null ? defaults.ttl : Math.max(0, lifetime - age) * 1000;
+    if (directives['no-cache']) {
+      ttl = 0;
+    }
+    
+    const mustRevalidate = directives['no-cache'] || directives['must-revalidate'] || directives['proxy-revalidate'];
+    const staleWindow = (directive, fallback) => {
+      if (mustRevalidate) return 0;
+      return directives[directive] !== undefined ? directives[directive] * 1000 : fallback;
+    };
+    
+    let store = 'shared';
+    if (directives['no-store']) {
+      store = 'none';
+    } else if (directives.private) {
+      store = 'private';
+    }
+    
+    return {
+      store,
+      ttl,
+      staleWhileRevalidate: staleWindow('stale-while-revalidate', defaults.staleWhileRevalidate),
+      staleIfError: staleWindow('stale-if-error', defaults.staleIfError)
+    };
+  }
+
+  parseCacheControl(header) {
+    const directives = {};
+    if (!header) return directives;
+    
+    header.split(',').forEach(part => {
+      const [name, value] = part.trim().split('=');
+      if (!name) return;
+      
+      const seconds = Number(value?.replace(/"/g, ''));
+      directives[name.toLowerCase()] = value === undefined || Number.isNaN(seconds) ? true : seconds;
+    });
+    
+    return directives;
+  }
+
+  getConditionalHeaders(headers, entry) {
+    const conditional = new Headers(headers);
+    
+    if (entry.etag) {
+      conditional.set('If-None-Match', entry.etag);
+    }
+    if (entry.lastModified) {
+      conditional.set('If-Modified-Since', entry.lastModified);
+    }
+    
+    return conditional;
+  }
+
+  // Entries with validators outlive their windows so they can still be revalidated
+  async storeEntry(cacheKey, entry, options = {}, url = null) {
+    if (entry.store === 'none') return;
+    
+    const hasValidators = Boolean(entry.etag || entry.lastModified);
+    const expiry = Math.max(
+      entry.staleUntil,
+      entry.errorUntil,
+      hasValidators ? entry.freshUntil + this.validatorRetention : 0
+    );
+    
+    const tags = [...(options.tags || [])];
+    if (options.partition) {
+      tags.push(this.partitionTag(options.partition));
+    }
+    if (url) {
+      tags.push(...this.routeTags(options.method, url, options.tagAllRoutes ?? this.tagAllRoutes));
+    }
+    
+    await this.cache.set(cacheKey, entry, {
+      ttl: Math.max(1, expiry - entry.storedAt),
+      tags,
+      skipTiers: entry.store === 'private' ? this.cache.tiers.map(tier => tier.name) : [],
+      broadcast: entry.store !== 'private'
+    });
+  }
+
+  async invalidateTags(tags) {
+    const count = await this.cache.invalidateTags(tags);
+    this.pruneEntities();
+    return count;
+  }
+
+  async clear() {
+    await this.cache.clear();
+    this.entities.clear();
+  }
+
+  async mutate(url, options = {}) {
+    if (options.request) {
+      return this.mutateOptimistically(url, options);
+    }
+    
+    const method = (options.method || 'POST').toUpperCase();
+    const data = await this.sendUncached(url, { ...options, method });
+    
+    await this.invalidateRoutes(method, url, options.invalidates);
+    
+    return data;
+  }
+
+  // Overlapping mutations of one key are layers over one base, reapplied as each settles
+  async mutateOptimistically(url, options) {
+    const { optimisticData, request, populateCache = true, ...readOptions } = options;
+    const cacheKey = await this.generateCacheKey(url, readOptions);
+    
+    if (!this.optimisticStates.has(cacheKey)) {
+      this.optimisticStates.set(cacheKey, {
+        base: this.cache.get(cacheKey),
+        layers: [],
+        sequence: 0,
+        confirmed: 0,
+        writes: Promise.resolve()
+      });
+    }
+    
+    const state = this.optimisticStates.get(cacheKey);
+    const layer = { sequence: ++state.sequence, optimisticData };
+    state.layers.push(layer);
+    await this.applyOptimisticState(cacheKey, url, state, readOptions);
+    
+    try {
+      const data = typeof request === 'function'
+        ? await request()
+        : await this.mutate(request.url || url, request);
+      
+      if (layer.sequence > state.confirmed) {
+        state.confirmed = layer.sequence;
+        state.base = this.confirmOptimisticBase(state.base, data, populateCache, readOptions);
+      }
+      
+      return data;
+    } catch (error) {
+      this.emit('rollback', { key: cacheKey, url, error });
+      throw error;
+    } finally {
+      state.layers = state.layers.filter(candidate => candidate !== layer);
+      await this.applyOptimisticState(cacheKey, url, state, readOptions);
+      
+      if (state.layers.length === 0 && this.optimisticStates.get(cacheKey) === state) {
+        this.optimisticStates.delete(cacheKey);
+      }
+    }
+  }
+
+  async confirmOptimisticBase(base, data, populateCache, options) {
+    if (!populateCache) return null;
+    
+    const current = (await base)?.data;
+    const confirmed = typeof populateCache === 'function' ? populateCache(data, current) : data;
+    return this.createEntry(confirmed, options);
+  }
+
+  // Optimistic data stays out of the shared tiers
+  applyOptimisticState(cacheKey, url, state, options) {
+    state.writes = state.writes.then(async () => {
+      const base = await state.base;
+      const optimistic = state.layers.length > 0;
+      const data = state.layers.reduce(
+        (current, { optimisticData }) =>
+          typeof optimisticData === 'function' ? optimisticData(current) : optimisticData,
+        base?.data
+      );
+      
+      if (optimistic) {
+        await this.storeEntry(cacheKey, { ...this.createEntry(data, options), store: 'private' }, options, url);
+      } else if (base) {
+        await this.storeEntry(cacheKey, base, options, url);
+      } else {
+        await this.cache.del(cacheKey);
+      }
+      
+      this.emit('change', { key: cacheKey, url, data, optimistic });
+    }).catch(error => {
+      console.warn(`Optimistic write failed for ${url}:`, error);
+    });
+    
+    return state.writes;
+  }
+
+  async invalidateRoutes(method, url, extraTargets = []) {
+    const path = this.canonicalizePath(url);
+    const targets = [].concat(extraTargets).map(target => ({ target, params: {} }));
+    
+    this.mutationRules.forEach(rule => {
+      const match = rule.method === method && rule.regex.exec(path);
+      if (match) {
+        rule.targets.forEach(target => targets.push({ target, params: match.groups || {} }));
+      }
+    });
+    
+    if (targets.length === 0) return 0;
+    
+    const tags = targets.map(({ target, params }) => this.targetTag(target, params));
+    const count = await this.cache.invalidateTags([...new Set(tags)]);
+    
+    this.emit('invalidate', { url, method, tags, count });
+    
+    return count;
+  }
+
+  isSafeMethod(method = 'GET') {
+    return ['GET', 'HEAD', 'OPTIONS'].includes(method.toUpperCase());
+  }
+
+  // Rules are written as 'METHOD /path/:param', e.g. 'PUT /api/items/:id'.
+  compileRoute(route) {
+    const [method, pattern] = this.splitRoute(route);
+    const source = pattern
+      .split('/')
+      .map(segment => {
+        if (!segment.startsWith(':')) {
+          return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        }
+        return `(?<${segment.slice(1)}>[^/]+)`;
+      })
+      .join('/');
+    
+    return { method, regex: new RegExp(`^${source}/?$`) };
+  }
+
+  splitRoute(route) {
+    const [method, pattern] = route.trim().split(/\s+/);
+    
+    if (!pattern) {
+      throw new Error(`Invalid route "${route}", expected "METHOD /path"`);
+    }
+    
+    return [method.toUpperCase(), pattern];
+  }
+
+  // Only tags some mutationRules target can produce, unless all is set
+  routeTags(method = 'GET', url, all = false) {
+    const verb = method.toUpperCase();
+    const path = this.canonicalizePath(url);
+    const segments = path.split('/').filter(Boolean);
+    const targets = this.routeTargets.filter(target => target.method === verb);
+    const reachable = (wildcard, candidate) =>
+      all || targets.some(target => target.wildcard === wildcard && target.regex.test(candidate));
+    
+    const tags = reachable(false, path) ? [`route:${verb} ${path}`] : [];
+    
+    for (let depth = 0; depth <= segments.length; depth++) {
+      const base = `/${segments.slice(0, depth).join('/')}`;
+      if (reachable(true, base)) {
+        tags.push(`route:${verb} ${base.replace(/\/$/, '')}/*`);
+      }
+    }
+    
+    return tags;
+  }
+
+  // Parameters in a target can be bound to any segment
+  compileTarget(target) {
+    const [method, pattern] = this.splitRoute(target);
+    const wildcard = pattern.endsWith('*');
+    const base = wildcard ? pattern.replace(/\/?\*$/, '') || '/' : pattern;
+    
+    return { ...this.compileRoute(`${method} ${base}`), wildcard };
+  }
+
+  targetTag(target, params) {
+    const [method, pattern] = this.splitRoute(target);
+    const path = pattern.replace(/:(\w+)/g, (placeholder, name) => {
+      if (params[name] === undefined) {
+        throw new Error(`Invalidation target "${target}" uses unbound parameter :${name}`);
+      }
+      return params[name];
+    });
+    
+    if (path.includes('*') && !/^[^*]*\*$/.test(path)) {
+      throw new Error(`Invalidation target "${target}" may only end in *`);
+    }
+    
+    if (path.endsWith('*')) {
+      return `route:${method} ${path.replace(/\/?\*$/, '')}/*`;
+    }
+    
+    return `route:${method} ${this.canonicalizePath(path)}`;
+  }
+
+  canonicalizePath(url) {
+    const { pathname } = new URL(String(url), 'http://relative.invalid');
+    const trimmed = pathname.replace(/\/+$/, '');
+    return trimmed || '/';
+  }
+
+  // Non-JSON types are kept as { status, headers, body } so a Response can be rebuilt
+  async readResponse(response, responseType = 'json') {
+    if (responseType === 'json') {
+      return response.json();
+    }
+    
+    const readers = {
+      'text': () => response.text(),
+      'arrayBuffer': () => response.arrayBuffer(),
+      'response': () => response.arrayBuffer()
+    };
+    
+    if (!readers[responseType]) {
+      throw new Error(`Unsupported responseType: ${responseType}`);
+    }
+    
+    return {
+      status: response.status,
+      statusText: response.statusText,
+      headers: Array.from(response.headers.entries()),
+      body: await readers[responseType]()
+    };
+  }
+
+  toResult(data, responseType = 'json') {
+    if (responseType === 'json') {
+      return data;
+    }
+    
+    if (responseType === 'response') {
+      return new Response(data.body, {
+        status: data.status,
+        statusText: data.statusText,
+        headers: data.headers
+      });
+    }
+    
+    // A copy, so callers cannot corrupt or detach the cached buffer
+    return data.body instanceof ArrayBuffer ? data.body.slice(0) : data.body;
+  }
+
+  async generateCacheKey(url, options) {
+    const {
+      headers = {},
+      body,
+      method = 'GET',
+      responseType = 'json',
+      partition = null,
+      keyFn = this.keyFn
+    } = options;
+    const scope = partition ? `${partition}:` : '';
+    
+    // A custom keyFn owns the whole key, including any per-user separation
+    if (keyFn) {
+      return `api:${scope}${await keyFn(url, options)}`;
+    }
+    
+    const normalized = Object.fromEntries(new Headers(headers));
+    const operation = this.getGraphQLOperation(options);
+    
+    const keyData = {
+      url: this.canonicalizeUrl(url),
+      method: method.toUpperCase(),
+      headers: this.sanitizeHeaders(normalized),
+      principal: await this.getPrincipal(normalized),
+      body: body ? await this.serializeBody(body) : null
+    };
+    
+    // Non-JSON types cache a different shape, so only they add responseType
+    if (responseType !== 'json') {
+      keyData.responseType = responseType;
+    }
+    
+    if (operation) {
+      const { query, variables, extensions } = operation;
+      keyData.body = this.stableStringify({ query, variables, extensions });
+      
+      const hash = await this.digest(this.stableStringify(keyData));
+      return `gql:${scope}${operation.operationName || 'anonymous'}:${hash}`;
+    }
+    
+    return `api:${scope}${await this.digest(this.stableStringify(keyData))}`;
+  }
+
+  canonicalizeUrl(url) {
+    const raw = String(url);
+    const isAbsolute = /^[a-z][a-z\d+.-]*:/i.test(raw);
+    const parsed = new URL(raw, 'http://relative.invalid');
+    
+    const params = Array.from(parsed.searchParams.entries())
+      .filter(([name]) => !this.ignoreParams.some(matches => matches(name)))
+      .sort(([nameA, valueA], [nameB, valueB]) =>
+        this.compare(nameA, nameB) || this.compare(valueA, valueB)
+      );
+    
+    const query = new URLSearchParams(params).toString();
+    const base = isAbsolute ? `${parsed.origin}${parsed.pathname}` : parsed.pathname;
+    
+    return query ? `${base}?${query}` : base;
+  }
+
+  compare(a, b) {
+    if (a < b) return -1;
+    return a > b ? 1 : 0;
+  }
+
+  toParamMatcher(pattern) {
+    if (pattern instanceof RegExp) {
+      return name => pattern.test(name);
+    }
+    
+    const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+    const regex = new RegExp(`^${escaped}$`);
+    return name => regex.test(name);
+  }
+
+  async serializeBody(body) {
+    if (typeof body === 'string') {
+      try {
+        return this.stableStringify(JSON.parse(body));
+      } catch {
+        return body;
+      }
+    }
+    
+    if (body instanceof URLSearchParams || (typeof FormData !== 'undefined' && body instanceof FormData)) {
+      const entries = await Promise.all(Array.from(body.entries()).map(async ([name, value]) => [
+        name,
+        typeof value === 'string' ? value : await this.serializeBody(value)
+      ]));
+      return this.stableStringify(entries.sort(([nameA], [nameB]) => this.compare(nameA, nameB)));
+    }
+    
+    if (typeof Blob !== 'undefined' && body instanceof Blob) {
+      return `${body.type}:${await this.digest(await body.arrayBuffer())}`;
+    }
+    
+    if (body instanceof ArrayBuffer || ArrayBuffer.isView(body)) {
+      return this.digest(body);
+    }
+    
+    return this.stableStringify(body);
+  }
+
+  stableStringify(value) {
+    if (value === null || typeof value !== 'object') {
+      return JSON.stringify(value);
+    }
+    
+    if (Array.isArray(value)) {
+      return `[${value.map(item => this.stableStringify(item ?? null)).join(',')}]`;
+    }
+    
+    const fields = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${this.stableStringify(value[key])}`);
+    
+    return `{${fields.join(',')}}`;
+  }
+
+  async digest(data) {
+    const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : data;
+    return this.toHex(await crypto.subtle.digest('SHA-256', bytes));
+  }
+
+  // Credentials are represented by the principal, never included as-is
+  sanitizeHeaders(headers) {
+    const sanitized = {};
+    
+    Object.entries(headers).forEach(([name, value]) => {
+      if (this.credentialHeaders.includes(name)) return;
+      if (this.varyBy && !this.varyBy.includes(name)) return;
+      sanitized[name] = value;
+    });
+    
+    return sanitized;
+  }
+
+  async getPrincipal(headers) {
+    const credentials = this.credentialHeaders
+      .filter(name => headers[name] !== undefined)
+      .map(name => `${name}:${headers[name]}`);
+    
+    if (credentials.length === 0) return null;
+    
+    if (!this.partitionKey) {
+      this.partitionKey = crypto.subtle.importKey(
+        'raw',
+        new TextEncoder().encode(this.partitionSecret),
+        { name: 'HMAC', hash: 'SHA-256' },
+        false,
+        ['sign']
+      );
+    }
+    
+    const signature = await crypto.subtle.sign(
+      'HMAC',
+      await this.partitionKey,
+      new TextEncoder().encode(credentials.join('\n'))
+    );
+    
+    return this.toHex(signature);
+  }
+
+  randomSecret() {
+    return this.toHex(crypto.getRandomValues(new Uint8Array(32)));
+  }
+
+  toHex(buffer) {
+    return Array.from(new Uint8Array(buffer), byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  partitionTag(partition) {
+    return `partition:${partition}`;
+  }
+
+  async purgePartition(partition) {
+    return this.invalidateTags([this.partitionTag(partition)]);
+  }
+
+  async preload(urls, options = {}) {
+    const promises = urls.map(url => 
+      this.cachedFetch(url, { ...options, deduplicate: false })
+        .catch(error => {
+          console.warn(`Preload failed for ${url}:`, error.message);
+          return null;
+        })
+    );
+    
+    return Promise.all(promises);
+  }
+
+  // Every loaded page lives in one entry, so invalidating the url drops them all
+  async fetchInfinite(url, options = {}) {
+    const cacheKey = await this.getInfiniteKey(url, options);
+    const cached = await this.cache.get(cacheKey);
+    
+    if (cached && Date.now() <= cached.freshUntil) {
+      this.emit('hit', { key: cacheKey, url });
+      return this.toInfiniteResult(cached.data, options);
+    }
+    
+    this.emit('miss', { key: cacheKey, url });
+    return this.sharePageRequest(cacheKey, () => this.appendPage(url, options, cacheKey, null));
+  }
+
+  async fetchNextPage(url, options = {}) {
+    const cacheKey = await this.getInfiniteKey(url, options);
+    
+    return this.sharePageRequest(cacheKey, async () => {
+      const cached = await this.cache.get(cacheKey);
+      
+      if (!cached || Date.now() > cached.freshUntil) {
+        return this.appendPage(url, options, cacheKey, null);
+      }
+      
+      const result = this.toInfiniteResult(cached.data, options);
+      if (!result.hasNextPage) {
+        return result;
+      }
+      
+      return this.appendPage(url, options, cacheKey, cached.data);
+    });
+  }
+
+  async invalidateInfinite(url, options = {}) {
+    await this.cache.del(await this.getInfiniteKey(url, options));
+  }
+
+  async getInfiniteKey(url, options) {
+    return `pages:${await this.generateCacheKey(url, options)}`;
+  }
+
+  // Concurrent loads of the same list share one request
+  sharePageRequest(cacheKey, load) {
+    const pending = this.pageRequests.get(cacheKey);
+    if (pending) return pending;
+    
+    const request = load().finally(() => this.pageRequests.delete(cacheKey));
+    this.pageRequests.set(cacheKey, request);
+    
+    return request;
+  }
+
+  async appendPage(url, options, cacheKey, collection) {
+    const { initialPageParam, maxPages = 20, prefetchNext = false } = options;
+    const param = collection
+      ? this.nextPageParam(collection, options)
+      : initialPageParam;
+    
+    const page = collection?.prefetched && this.stableStringify(collection.prefetched.param) === this.stableStringify(param)
+      ? collection.prefetched.page
+      : await this.sendUncached(this.getPageUrl(url, param, options), options);
+    
+    const next = {
+      pages: [...(collection?.pages || []), page].slice(-maxPages),
+      pageParams: [...(collection?.pageParams || []), param].slice(-maxPages),
+      prefetched: null
+    };
+    
+    await this.storeEntry(cacheKey, this.createEntry(next, options), options, url);
+    this.emit('set', { key: cacheKey, url });
+    
+    if (prefetchNext) {
+      this.prefetchPage(url, options, cacheKey, next);
+    }
+    
+    return this.toInfiniteResult(next, options);
+  }
+
+  // Prefetched pages join the collection only when fetchNextPage asks for them
+  async prefetchPage(url, options, cacheKey, collection) {
+    const param = this.nextPageParam(collection, options);
+    if (param === undefined || param === null) return;
+    
+    try {
+      const page = await this.sendUncached(this.getPageUrl(url, param, options), options);
+      const current = await this.cache.get(cacheKey);
+      
+      // Drop the page if the collection changed or was invalidated meanwhile
+      if (!current || current.data.pages.length !== collection.pages.length) return;
+      
+      await this.storeEntry(cacheKey, { ...current, data: { ...current.data, prefetched: { param, page } } }, options, url);
+    } catch (error) {
+      console.warn(`Prefetch of next page failed for ${url}:`, error.message);
+    }
+  }
+
+  nextPageParam({ pages }, { getNextPageParam }) {
+    if (typeof getNextPageParam !== 'function') {
+      throw new Error('getNextPageParam is required for paginated queries');
+    }
+    
+    return pages.length > 0 ? getNextPageParam(pages[pages.length - 1], pages) : undefined;
+  }
+
+  getPageUrl(url, param, { getPageUrl, pageParamName = 'page' }) {
+    if (getPageUrl) {
+      return getPageUrl(url, param);
+    }
+    
+    if (param === undefined || param === null) {
+      return url;
+    }
+    
+    const isAbsolute = /^[a-z][a-z\d+.-]*:/i.test(String(url));
+    const parsed = new URL(String(url), 'http://relative.invalid');
+    parsed.searchParams.set(pageParamName, param);
+    
+    return isAbsolute ? parsed.href : `${parsed.pathname}${parsed.search}`;
+  }
+
+  toInfiniteResult(collection, options) {
+    const nextParam = this.nextPageParam(collection, options);
+    
+    return {
+      pages: collection.pages,
+      pageParams: collection.pageParams,
+      hasNextPage: nextParam !== undefined && nextParam !== null
+    };
+  }
+
+  subscribe(url, options = {}, listener) {
+    const {
+      refetchOnFocus = true,
+      refetchOnReconnect = true,
+      pollInterval = 0,
+      ...fetchOptions
+    } = options;
+    
+    let state = { status: 'loading', data: undefined, error: null };
+    let cacheKey = null;
+    let active = true;
+    let loading = false;
+    let generation = 0;
+    
+    const publish = next => {
+      if (!active) return;
+      state = { ...state, ...next };
+      listener(state);
+    };
+    
+    const load = async (forceRefresh = false) => {
+      const current = ++generation;
+      let stale = false;
+      const offHit = this.on('hit', event => {
+        if (event.key === cacheKey && event.stale) stale = true;
+      });
+      
+      loading = true;
+      try {
+        const data = await this.cachedFetch(url, { ...fetchOptions, forceRefresh });
+        if (current === generation) {
+          publish({ status: stale ? 'stale' : 'data', data, error: null });
+        }
+      } catch (error) {
+        if (current === generation) {
+          publish({ status: 'error', error });
+        }
+      } finally {
+        offHit();
+        if (current === generation) loading = false;
+      }
+    };
+    
+    const cleanups = [
+      this.on('set', event => {
+        if (event.key === cacheKey && !loading) load();
+      }),
+      this.on('change', event => {
+        if (event.key === cacheKey && event.data !== undefined) {
+          publish({ status: 'data', data: event.data, error: null });
+        }
+      }),
+      this.cache.on('delete', event => {
+        if (event.key !== cacheKey) return;
+        if (state.data !== undefined) publish({ status: 'stale' });
+        load();
+      })
+    ];
+    
+    if (typeof window !== 'undefined' && window.addEventListener) {
+      const refetch = () => load(true);
+      const onVisible = () => {
+        if (document.visibilityState === 'visible') refetch();
+      };
+      
+      if (refetchOnFocus) {
+        window.addEventListener('focus', refetch);
+        document.addEventListener('visibilitychange', onVisible);
+        cleanups.push(() => {
+          window.removeEventListener('focus', refetch);
+          document.removeEventListener('visibilitychange', onVisible);
+        });
+      }
+      
+      if (refetchOnReconnect) {
+        window.addEventListener('online', refetch);
+        cleanups.push(() => window.removeEventListener('online', refetch));
+      }
+    }
+    
+    if (pollInterval > 0) {
+      const timer = setInterval(() => load(true), pollInterval);
+      cleanups.push(() => clearInterval(timer));
+    }
+    
+    publish(state);
+    this.generateCacheKey(url, fetchOptions)
+      .then(key => {
+        cacheKey = key;
+        return load();
+      })
+      .catch(error => publish({ status: 'error', error }));
+    
+    return () => {
+      active = false;
+      cleanups.forEach(cleanup => cleanup());
+    };
+  }
+}
+
+class CircuitBreaker {
+  constructor(options = {}) {
+    this.failureThreshold = options.failureThreshold || 5;
+    this.failureRateThreshold = options.failureRateThreshold || 0.5;
+    this.windowSize = options.windowSize || 60000;
+    this.bucketCount = options.bucketCount || 10;
+    this.resetTimeout = options.resetTimeout || 60000;
+    this.halfOpenMaxProbes = options.halfOpenMaxProbes || 1;
+    this.halfOpenSuccesses = options.halfOpenSuccesses || this.halfOpenMaxProbes;
+    this.scope = options.scope || 'origin';
+    this.states = new Map();
+    this.listeners = new Set();
+  }
+
+  getScope(url) {
+    if (typeof this.scope === 'function') {
+      return this.scope(url);
+    }
+    
+    const parsed = new URL(String(url), globalThis.location?.href || 'http://localhost');
+    
+    switch (this.scope) {
+      case 'url':
+        return parsed.href;
+      case 'path':
+        return `${parsed.origin}${parsed.pathname}`;
+      default:
+        return parsed.origin;
+    }
+  }
+
+  getState(scope) {
+    if (!this.states.has(scope)) {
+      this.states.set(scope, {
+        state: 'CLOSED',
+        buckets: [],
+        openedAt: 0,
+        probes: 0,
+        probeSuccesses: 0,
+        forced: false
+      });
+    }
+    
+    return this.states.get(scope);
+  }
+
+  canRequest(url) {
+    const scope = this.getScope(url);
+    const state = this.getState(scope);
+    
+    if (state.state === 'OPEN') {
+      if (state.forced || Date.now() - state.openedAt < this.resetTimeout) {
+        return false;
+      }
+      this.transition(scope, state, 'HALF_OPEN');
+    }
+    
+    if (state.state === 'HALF_OPEN') {
+      if (state.probes >= this.halfOpenMaxProbes) {
+        return false;
+      }
+      state.probes++;
+    }
+    
+    return true;
+  }
+
+  recordFailure(url) {
+    const scope = this.getScope(url);
+    const state = this.getState(scope);
+    
+    if (state.state === 'HALF_OPEN') {
+      this.transition(scope, state, 'OPEN');
+      return;
+    }
+    
+    if (state.state === 'OPEN') return;
+    
+    this.getCurrentBucket(state).failures++;
+    
+    const { failures, total } = this.getWindowCounts(state);
+    if (failures >= this.failureThreshold && failures / total >= this.failureRateThreshold) {
+      this.transition(scope, state, 'OPEN');
+    }
+  }
+
+  recordSuccess(url) {
+    const scope = this.getScope(url);
+    const state = this.getState(scope);
+    
+    if (state.state === 'HALF_OPEN') {
+      state.probes = Math.max(0, state.probes - 1);
+      state.probeSuccesses++;
+      
+      if (state.probeSuccesses >= this.halfOpenSuccesses) {
+        this.transition(scope, state, 'CLOSED');
+      }
+      return;
+    }
+    
+    if (state.state === 'CLOSED') {
+      this.getCurrentBucket(state).successes++;
+    }
+  }
+
+  // A cancelled request says nothing about the upstream but frees its probe slot
+  releaseProbe(url) {
+    const state = this.getState(this.getScope(url));
+    
+    if (state.state === 'HALF_OPEN') {
+      state.probes = Math.max(0, state.probes - 1);
+    }
+  }
+
+  getCurrentBucket(state) {
+    const now = Date.now();
+    const bucketSize = this.windowSize / this.bucketCount;
+    const start = Math.floor(now / bucketSize) * bucketSize;
+    
+    state.buckets = state.buckets.filter(bucket => bucket.start > now - this.windowSize);
+    
+    let bucket = state.buckets[state.buckets.length - 1];
+    if (!bucket || bucket.start !== start) {
+      bucket = { start, successes: 0, failures: 0 };
+      state.buckets.push(bucket);
+    }
+    
+    return bucket;
+  }
+
+  getWindowCounts(state) {
+    const since = Date.now() - this.windowSize;
+    
+    return state.buckets
+      .filter(bucket => bucket.start > since)
+      .reduce((counts, bucket) => ({
+        failures: counts.failures + bucket.failures,
+        total: counts.total + bucket.failures + bucket.successes
+      }), { failures: 0, total: 0 });
+  }
+
+  transition(scope, state, to) {
+    const from = state.state;
+    if (from === to) return;
+    
+    state.state = to;
+    state.probes = 0;
+    state.probeSuccesses = 0;
+    
+    if (to === 'OPEN') {
+      state.openedAt = Date.now();
+    }
+    if (to === 'CLOSED') {
+      state.buckets = [];
+      state.forced = false;
+    }
+    
+    this.listeners.forEach(listener => {
+      try {
+        listener({ scope, from, to, at: Date.now() });
+      } catch (error) {
+        console.warn('Circuit breaker listener failed:', error);
+      }
+    });
+  }
+
+  // Stays open until reset(), regardless of resetTimeout
+  trip(url) {
+    const scope = this.getScope(url);
+    const state = this.getState(scope);
+    
+    this.transition(scope, state, 'OPEN');
+    state.forced = true;
+  }
+
+  reset(url) {
+    const scope = this.getScope(url);
+    this.transition(scope, this.getState(scope), 'CLOSED');
+  }
+
+  getStatus(url) {
+    const scope = this.getScope(url);
+    const state = this.getState(scope);
+    
+    return {
+      scope,
+      state: state.state,
+      forced: state.forced,
+      ...this.getWindowCounts(state)
+    };
+  }
+
+  onStateChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+}
+
+// Sorted selections and no comments or commas, so formatting does not change the key
+class GraphQLNormalizer {
+  normalize(query) {
+    const tokens = this.tokenize(query);
+    const definitions = [];
+    const operations = [];
+    let index = 0;
+    
+    while (index < tokens.length) {
+      const header = [];
+      
+      while (index < tokens.length && tokens[index] !== '{') {
+        if (tokens[index] === '(') {
+          const end = this.findClosingParen(tokens, index);
+          header.push(tokens.slice(index, end + 1).join(' '));
+          index = end + 1;
+        } else {
+          header.push(tokens[index]);
+          index++;
+        }
+      }
+      
+      if (index >= tokens.length) {
+        definitions.push(header.join(' '));
+        break;
+      }
+      
+      const [selectionSet, next] = this.readSelectionSet(tokens, index);
+      definitions.push([...header, selectionSet].join(' '));
+      index = next;
+      
+      if (header.length === 0) {
+        operations.push({ type: 'query', name: null });
+      } else if (['query', 'mutation', 'subscription'].includes(header[0])) {
+        const name = /^[_A-Za-z]/.test(header[1] || '') ? header[1] : null;
+        operations.push({ type: header[0], name });
+      }
+    }
+    
+    return { text: definitions.join(' '), operations };
+  }
+
+  tokenize(query) {
+    const pattern = /"""[\s\S]*?"""|"(?:[^"\\]|\\.)*"|#[^\n\r]*|\.\.\.|[!$&()[\]{}:=@|]|-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?|[_A-Za-z][_0-9A-Za-z]*/g;
+    return (query.match(pattern) || []).filter(token => !token.startsWith('#'));
+  }
+
+  readSelectionSet(tokens, start) {
+    const selections = [];
+    let current = [];
+    let index = start + 1;
+    
+    while (index < tokens.length && tokens[index] !== '}') {
+      const token = tokens[index];
+      
+      if (token === '(') {
+        const end = this.findClosingParen(tokens, index);
+        current.push(tokens.slice(index, end + 1).join(' '));
+        index = end + 1;
+        continue;
+      }
+      
+      if (token === '{') {
+        const [nested, next] = this.readSelectionSet(tokens, index);
+        current.push(nested);
+        index = next;
+        continue;
+      }
+      
+      if (current.length > 0 && this.startsSelection(tokens, index)) {
+        selections.push(current.join(' '));
+        current = [];
+      }
+      
+      current.push(token);
+      index++;
+    }
+    
+    if (current.length > 0) {
+      selections.push(current.join(' '));
+    }
+    
+    return [`{ ${selections.sort().join(' ')} }`, index + 1];
+  }
+
+  // Unless it continues an alias (a: b), a directive (@name) or an inline fragment
+  startsSelection(tokens, index) {
+    const token = tokens[index];
+    const previous = tokens[index - 1];
+    
+    if (token !== '...' && !/^[_A-Za-z]/.test(token)) return false;
+    if ([':', '@', '...'].includes(previous)) return false;
+    
+    return !(previous === 'on' && tokens[index - 2] === '...');
+  }
+
+  // [{ responseKey, name, args, selections }] with fragments expanded, or null
+  getSelections(query, operationName = null) {
+    const tokens = this.tokenize(query);
+    const fragments = new Map();
+    const operations = [];
+    let index = 0;
+    
+    while (index < tokens.length) {
+      const token = tokens[index];
+      
+      if (token !== '{' && !['query', 'mutation', 'subscription', 'fragment'].includes(token)) {
+        index++;
+        continue;
+      }
+      
+      const name = token !== '{' && /^[_A-Za-z]/.test(tokens[index + 1] || '') ? tokens[index + 1] : null;
+      index = this.skipToSelectionSet(tokens, index);
+      if (index >= tokens.length) break;
+      
+      const [selections, next] = this.readSelections(tokens, index);
+      index = next;
+      
+      if (token === 'fragment') {
+        fragments.set(name, selections);
+      } else {
+        operations.push({ name, selections });
+      }
+    }
+    
+    const operation = operations.find(candidate => !operationName || candidate.name === operationName);
+    return operation ? this.expandFragments(operation.selections, fragments, new Set()) : null;
+  }
+
+  skipToSelectionSet(tokens, index) {
+    while (index < tokens.length && tokens[index] !== '{') {
+      index = tokens[index] === '(' ? this.findClosingParen(tokens, index) + 1 : index + 1;
+    }
+    return index;
+  }
+
+  readSelections(tokens, start) {
+    const selections = [];
+    let index = start + 1;
+    
+    while (index < tokens.length && tokens[index] !== '}') {
+      if (tokens[index] === '...') {
+        if (['on', '@', '{'].includes(tokens[index + 1])) {
+          const [inline, next] = this.readSelections(tokens, this.skipToSelectionSet(tokens, index));
+          selections.push({ inline });
+          index = next;
+        } else {
+          selections.push({ spread: tokens[index + 1] });
+          index = this.skipDirectives(tokens, index + 2);
+        }
+        continue;
+      }
+      
+      const field = { responseKey: tokens[index], name: tokens[index], args: [], selections: null };
+      index++;
+      
+      if (tokens[index] === ':') {
+        field.name = tokens[index + 1];
+        index += 2;
+      }
+      
+      if (tokens[index] === '(') {
+        const end = this.findClosingParen(tokens, index);
+        field.args = tokens.slice(index, end + 1);
+        index = end + 1;
+      }
+      
+      index = this.skipDirectives(tokens, index);
+      
+      if (tokens[index] === '{') {
+        [field.selections, index] = this.readSelections(tokens, index);
+      }
+      
+      selections.push(field);
+    }
+    
+    return [selections, index + 1];
+  }
+
+  skipDirectives(tokens, index) {
+    while (tokens[index] === '@') {
+      index += 2;
+      if (tokens[index] === '(') {
+        index = this.findClosingParen(tokens, index) + 1;
+      }
+    }
+    return index;
+  }
+
+  expandFragments(selections, fragments, seen) {
+    return selections.flatMap(selection => {
+      if (selection.inline) {
+        return this.expandFragments(selection.inline, fragments, seen);
+      }
+      
+      if (selection.spread) {
+        if (seen.has(selection.spread) || !fragments.has(selection.spread)) return [];
+        return this.expandFragments(fragments.get(selection.spread), fragments, new Set(seen).add(selection.spread));
+      }
+      
+      return [{
+        ...selection,
+        selections: selection.selections && this.expandFragments(selection.selections, fragments, seen)
+      }];
+    });
+  }
+
+  // Fields sharing a response key (from several fragments) are merged
+  findField(selections, responseKey) {
+    if (!selections) return null;
+    
+    const matches = selections.filter(selection => selection.responseKey === responseKey);
+    if (matches.length === 0) return null;
+    
+    const nested = matches.filter(match => match.selections).flatMap(match => match.selections);
+    return { ...matches[0], selections: nested.length > 0 ? nested : null };
+  }
+
+  storageKey({ name, args }, variables) {
+    if (args.length === 0) return name;
+    
+    const resolved = args.map((token, index) => {
+      if (token === '$') return '';
+      if (args[index - 1] === '$') return JSON.stringify(variables[token] ?? null);
+      return token;
+    });
+    
+    return `${name}${resolved.filter(Boolean).join(' ')}`;
+  }
+
+  findClosingParen(tokens, start) {
+    let depth = 0;
+    
+    for (let index = start; index < tokens.length; index++) {
+      if (tokens[index] === '(') depth++;
+      if (tokens[index] === ')') depth--;
+      if (depth === 0) return index;
+    }
+    
+    return tokens.length - 1;
+  }
+}
+
+class LRUPolicy {
+  constructor() {
+    this.order = new Set();
+  }
+
+  onInsert(key) {
+    this.onAccess(key);
+  }
+
+  onAccess(key) {
+    this.order.delete(key);
+    this.order.add(key);
+  }
+
+  onRemove(key) {
+    this.order.delete(key);
+  }
+
+  evict() {
+    const key = this.order.values().next().value;
+    this.order.delete(key);
+    return key;
+  }
+
+  clear() {
+    this.order.clear();
+  }
+}
+
+// Seeded from hitCounter so a promoted key keeps its earlier popularity
+class LFUPolicy {
+  constructor(hitCounter) {
+    this.hitCounter = hitCounter;
+    this.frequencies = new Map();
+    this.buckets = new Map();
+    this.minFrequency = 0;
+  }
+
+  onInsert(key) {
+    this.onRemove(key);
+    this.addToBucket(key, (this.hitCounter.get(key) || 0) + 1);
+  }
+
+  onAccess(key) {
+    const frequency = this.frequencies.get(key) || 0;
+    this.onRemove(key);
+    this.addToBucket(key, frequency + 1);
+  }
+
+  onRemove(key) {
+    const frequency = this.frequencies.get(key);
+    if (frequency === undefined) return;
+    
+    const bucket = this.buckets.get(frequency);
+    bucket.delete(key);
+    this.frequencies.delete(key);
+    
+    if (bucket.size === 0) {
+      this.buckets.delete(frequency);
+      if (frequency === this.minFrequency) {
+        this.minFrequency = this.buckets.size > 0 ? Math.min(...this.buckets.keys()) : 0;
+      }
+    }
+  }
+
+  addToBucket(key, frequency) {
+    if (!this.buckets.has(frequency)) {
+      this.buckets.set(frequency, new Set());
+    }
+    
+    this.buckets.get(frequency).add(key);
+    this.frequencies.set(key, frequency);
+    
+    if (this.frequencies.size === 1 || frequency < this.minFrequency) {
+      this.minFrequency = frequency;
+    }
+  }
+
+  evict() {
+    const bucket = this.buckets.get(this.minFrequency);
+    if (!bucket) return undefined;
+    
+    const key = bucket.values().next().value;
+    this.onRemove(key);
+    return key;
+  }
+
+  clear() {
+    this.frequencies.clear();
+    this.buckets.clear();
+    this.minFrequency = 0;
+  }
+}
+
+// Adaptive Replacement Cache: t1/t2 hold keys seen once/again, b1/b2 recent evictions
+class ARCPolicy {
+  constructor(capacity) {
+    this.capacity = capacity;
+    this.p = 0;
+    this.t1 = new Set();
+    this.t2 = new Set();
+    this.b1 = new Set();
+    this.b2 = new Set();
+  }
+
+  onInsert(key) {
+    if (this.b1.has(key)) {
+      this.p = Math.min(this.capacity, this.p + Math.max(1, this.b2.size / this.b1.size));
+      this.b1.delete(key);
+      this.t2.add(key);
+    } else if (this.b2.has(key)) {
+      this.p = Math.max(0, this.p - Math.max(1, this.b1.size / this.b2.size));
+      this.b2.delete(key);
+      this.t2.add(key);
+    } else {
+      this.t1.add(key);
+    }
+  }
+
+  onAccess(key) {
+    this.t1.delete(key);
+    this.t2.delete(key);
+    this.t2.add(key);
+  }
+
+  onRemove(key) {
+    this.t1.delete(key);
+    this.t2.delete(key);
+  }
+
+  evict() {
+    const fromT1 = this.t1.size > 0 && (this.t1.size > this.p || this.t2.size === 0);
+    const list = fromT1 ? this.t1 : this.t2;
+    const ghost = fromT1 ? this.b1 : this.b2;
+    
+    const key = list.values().next().value;
+    if (key === undefined) return undefined;
+    
+    list.delete(key);
+    ghost.add(key);
+    
+    while (ghost.size > this.capacity) {
+      ghost.delete(ghost.values().next().value);
+    }
+    
+    return key;
+  }
+
+  clear() {
+    this.p = 0;
+    this.t1.clear();
+    this.t2.clear();
+    this.b1.clear();
+    this.b2.clear();
+  }
+}
+
+// Binary values are tagged base64; text that does not parse is returned as-is
+class JSONCodec {
+  encode(value) {
+    return JSON.stringify(value, function (key, item) {
+      const original = this[key];
+      
+      if (original instanceof ArrayBuffer) {
+        return { __binary: 'ArrayBuffer', data: toBase64(new Uint8Array(original)) };
+      }
+      if (ArrayBuffer.isView(original)) {
+        const bytes = new Uint8Array(original.buffer, original.byteOffset, original.byteLength);
+        return { __binary: 'Uint8Array', data: toBase64(bytes) };
+      }
+      
+      return item;
+    });
+  }
+
+  decode(raw) {
+    try {
+      return JSON.parse(raw, (key, item) => {
+        if (item && typeof item === 'object' && item.__binary) {
+          const bytes = fromBase64(item.data);
+          return item.__binary === 'ArrayBuffer' ? bytes.buffer : bytes;
+        }
+        
+        return item;
+      });
+    } catch {
+      return raw;
+    }
+  }
+}
+
+// "hc1:<codecs>:<payload>"; values without the header are plain serializer output
+class CodecPipeline {
+  constructor(options = {}) {
+    this.serializer = options.serializer || new JSONCodec();
+    this.compression = options.compression || null;
+    this.encryption = options.encryption || null;
+  }
+
+  async encode(value) {
+    const text = this.serializer.encode(value);
+    if (!this.compression && !this.encryption) {
+      return text;
+    }
+    
+    let payload = new TextEncoder().encode(text);
+    const applied = [];
+    
+    if (this.compression && payload.byteLength >= this.compression.threshold) {
+      payload = await this.compression.compress(payload);
+      applied.push(this.compression.algorithm);
+    }
+    
+    if (this.encryption) {
+      const { keyId, data } = await this.encryption.encrypt(payload);
+      payload = data;
+      applied.push(`aes-gcm@${keyId}`);
+    }
+    
+    return applied.length > 0
+      ? `hc1:${applied.join(',')}:${toBase64(payload)}`
+      : `hc1::${text}`;
+  }
+
+  async decode(raw) {
+    if (!raw.startsWith('hc1:')) {
+      return this.serializer.decode(raw);
+    }
+    
+    const separator = raw.indexOf(':', 4);
+    const applied = raw.slice(4, separator).split(',').filter(Boolean);
+    const body = raw.slice(separator + 1);
+    
+    if (applied.length === 0) {
+      return this.serializer.decode(body);
+    }
+    
+    let payload = fromBase64(body);
+    
+    for (const codec of applied.reverse()) {
+      if (codec.startsWith('aes-gcm@')) {
+        if (!this.encryption) {
+          throw new Error('Cached value is encrypted but no encryption keys are configured');
+        }
+        payload = await this.encryption.decrypt(payload, codec.slice('aes-gcm@'.length));
       } else {
-        resolve(data);
+        payload = await new CompressionCodec({ algorithm: codec }).decompress(payload);
       }
+    }
+    
+    return this.serializer.decode(new TextDecoder().decode(payload));
+  }
+}
+
+class CompressionCodec {
+  constructor(options = {}) {
+    this.algorithm = options.algorithm || 'gzip';
+    this.threshold = options.threshold ?? 1024;
+    
+    if (!['gzip', 'br'].includes(this.algorithm)) {
+      throw new Error(`Unsupported compression algorithm: ${this.algorithm}`);
+    }
+  }
+
+  async compress(bytes) {
+    if (typeof process !== 'undefined' && process.versions?.node) {
+      const zlib = await import('zlib');
+      const compress = this.algorithm === 'br' ? zlib.brotliCompress : zlib.gzip;
+      return new Uint8Array(await this.promisify(compress, bytes));
+    }
+    
+    return this.pipeThrough(new CompressionStream(this.browserFormat()), bytes);
+  }
+
+  async decompress(bytes) {
+    if (typeof process !== 'undefined' && process.versions?.node) {
+      const zlib = await import('zlib');
+      const decompress = this.algorithm === 'br' ? zlib.brotliDecompress : zlib.gunzip;
+      return new Uint8Array(await this.promisify(decompress, bytes));
+    }
+    
+    return this.pipeThrough(new DecompressionStream(this.browserFormat()), bytes);
+  }
+
+  browserFormat() {
+    if (this.algorithm !== 'gzip') {
+      throw new Error(`${this.algorithm} is not available in this runtime`);
+    }
+    return 'gzip';
+  }
+
+  promisify(operation, bytes) {
+    return new Promise((resolve, reject) => {
+      operation(bytes, (error, result) => (error ? reject(error) : resolve(result)));
     });
+  }
+
+  async pipeThrough(stream, bytes) {
+    const output = new Blob([bytes]).stream().pipeThrough(stream);
+    return new Uint8Array(await new Response(output).arrayBuffer());
+  }
+}
+
+// AES-256-GCM; activeKeyId encrypts and any listed key can decrypt
+class EncryptionCodec {
+  constructor(options = {}) {
+    this.keys = options.keys || {};
+    this.activeKeyId = options.activeKeyId || Object.keys(this.keys)[0];
+    this.cryptoKeys = new Map();
+    
+    if (!this.keys[this.activeKeyId]) {
+      throw new Error('EncryptionCodec needs at least one key and a valid activeKeyId');
+    }
+  }
+
+  getKey(keyId) {
+    if (!this.keys[keyId]) {
+      throw new Error(`Unknown encryption key: ${keyId}`);
+    }
+    
+    if (!this.cryptoKeys.has(keyId)) {
+      const material = typeof this.keys[keyId] === 'string'
+        ? fromBase64(this.keys[keyId])
+        : this.keys[keyId];
+      
+      this.cryptoKeys.set(keyId, crypto.subtle.importKey(
+        'raw',
+        material,
+        { name: 'AES-GCM' },
+        false,
+        ['encrypt', 'decrypt']
+      ));
+    }
     
-    this.requestQueue.delete(cacheKey);
+    return this.cryptoKeys.get(keyId);
   }
 
-  generateCacheKey(url, options) {
-    const { headers = {}, body, method = 'GET' } = options;
+  async encrypt(bytes) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const key = await this.getKey(this.activeKeyId);
+    const ciphertext = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, bytes));
     
-    const keyData = {
-      url,
-      method,
-      headers: this.sanitizeHeaders(headers),
-      body: body ? this.hashString(JSON.stringify(body)) : null
-    };
+    const data = new Uint8Array(iv.byteLength + ciphertext.byteLength);
+    data.set(iv);
+    data.set(ciphertext, iv.byteLength);
     
-    return `api:${this.hashString(JSON.stringify(keyData))}`;
+    return { keyId: this.activeKeyId, data };
   }
 
-  sanitizeHeaders(headers) {
-    const sensitive = ['authorization', 'cookie', 'x-api-key'];
-    const sanitized = { ...headers };
+  async decrypt(bytes, keyId) {
+    const key = await this.getKey(keyId);
+    const plaintext = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: bytes.subarray(0, 12) },
+      key,
+      bytes.subarray(12)
+    );
+    
+    return new Uint8Array(plaintext);
+  }
+}
+
+function toBase64(bytes) {
+  if (typeof Buffer !== 'undefined') {
+    return Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength).toString('base64');
+  }
+  
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function fromBase64(data) {
+  if (typeof Buffer !== 'undefined') {
+    const buffer = Buffer.from(data, 'base64');
+    return new Uint8Array(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength));
+  }
+  
+  return Uint8Array.from(atob(data), char => char.charCodeAt(0));
+}
+
+class StorageAdapter {
+  constructor(options = {}) {
+    this.name = options.name || 'storage';
+    this.tagTTL = options.tagTTL || 86400000;
+    this.codec = options.codec || new CodecPipeline();
+    this.supportsLocks = false;
+    this.tagUpdates = new Map();
+  }
+
+  tagKey(tag) {
+    return `tag:${tag}`;
+  }
+
+  // Tags are entries mapping keys to expiry; updates are queued per tag in this process
+  async tag(key, tags, ttl) {
+    const now = Date.now();
+    const expiresAt = now + Math.max(ttl, this.tagTTL);
+    
+    await Promise.all(tags.map(tag => this.updateTag(tag, async tagKey => {
+      const members = this.liveTagMembers(await this.get(tagKey), now);
+      members[key] = expiresAt;
+      
+      const lastExpiry = Object.values(members).reduce((latest, time) => Math.max(latest, time), 0);
+      await this.set(tagKey, members, lastExpiry - now);
+    })));
+  }
+
+  // Plain key arrays were written before members carried an expiry
+  liveTagMembers(stored, now) {
+    if (Array.isArray(stored)) {
+      return Object.fromEntries(stored.map(key => [key, now + this.tagTTL]));
+    }
+    
+    return Object.fromEntries(Object.entries(stored || {}).filter(([, time]) => time > now));
+  }
+
+  updateTag(tag, update) {
+    const tagKey = this.tagKey(tag);
+    const previous = this.tagUpdates.get(tagKey) || Promise.resolve();
+    const current = previous.catch(() => {}).then(() => update(tagKey));
     
-    sensitive.forEach(header => {
-      if (sanitized[header]) {
-        sanitized[header] = '***';
+    this.tagUpdates.set(tagKey, current);
+    current.catch(() => {}).finally(() => {
+      if (this.tagUpdates.get(tagKey) === current) {
+        this.tagUpdates.delete(tagKey);
       }
     });
     
-    return sanitized;
+    return current;
+  }
+
+  async getTaggedKeys(tags) {
+    const now = Date.now();
+    const lists = await Promise.all(tags.map(tag => this.get(this.tagKey(tag))));
+    return [...new Set(lists.flatMap(stored => Object.keys(this.liveTagMembers(stored, now))))];
+  }
+
+  async removeTags(tags) {
+    await Promise.all(tags.map(tag => this.updateTag(tag, tagKey => this.del(tagKey))));
+  }
+
+  async get(key) {
+    throw new Error(`${this.constructor.name} does not implement get()`);
+  }
+
+  async set(key, value, ttl) {
+    throw new Error(`${this.constructor.name} does not implement set()`);
+  }
+
+  async del(key) {
+    throw new Error(`${this.constructor.name} does not implement del()`);
+  }
+
+  async clear() {
+    throw new Error(`${this.constructor.name} does not implement clear()`);
+  }
+
+  async clearPrefix(prefix) {
+    throw new Error(`${this.constructor.name} does not implement clearPrefix()`);
+  }
+}
+
+// Keys live under "<namespace>:<version>:", so bumpVersion() retires a whole namespace
+class RedisAdapter extends StorageAdapter {
+  constructor(client, options = {}) {
+    super({ name: 'redis', ...options });
+    this.client = client;
+    this.supportsLocks = true;
+    this.fenceTTL = options.fenceTTL || 86400000;
+    this.namespace = options.namespace || 'hybrid-cache';
+    this.versionKey = `${this.namespace}:__version`;
+    this.versionTTL = options.versionTTL ?? 5000;
+    this.scanCount = options.scanCount || 500;
+    this.version = null;
+    this.versionCheckedAt = 0;
   }
 
-  hashString(str) {
-    let hash = 0;
-    for (let i = 0; i < str.length; i++) {
-      const char = str.charCodeAt(i);
-      hash = ((hash << 5) - hash) + char;
-      hash = hash & hash;
+  async getVersion() {
+    if (this.version === null || Date.now() - this.versionCheckedAt > this.versionTTL) {
+      this.version = Number(await this.client.get(this.versionKey)) || 0;
+      this.versionCheckedAt = Date.now();
     }
-    return hash.toString(36);
+    
+    return this.version;
   }
 
-  async preload(urls, options = {}) {
-    const promises = urls.map(url => 
-      this.cachedFetch(url, { ...options, deduplicate: false })
-        .catch(error => {
-          console.warn(`Preload failed for ${url}:`, error.message);
-          return null;
-        })
-    );
+  async bumpVersion() {
+    this.version = await this.client.incr(this.versionKey);
+    this.versionCheckedAt = Date.now();
+    return this.version;
+  }
+
+  refreshVersion() {
+    this.version = null;
+  }
+
+  async key(key) {
+    return `${this.namespace}:${await this.getVersion()}:${key}`;
+  }
+
+  async get(key) {
+    const value = await this.client.get(await this.key(key));
+    if (!value) return null;
     
-    return Promise.all(promises);
+    return this.codec.decode(value);
+  }
+
+  async set(key, value, ttl) {
+    await this.client.setex(await this.key(key), Math.ceil(ttl / 1000), await this.codec.encode(value));
+  }
+
+  async del(key) {
+    await this.client.del(await this.key(key));
+  }
+
+  // Covers every version of the namespace, but keeps the version counter
+  async clear() {
+    await this.unlinkMatching(`${this.escapePattern(this.namespace)}:*`);
+  }
+
+  async clearPrefix(prefix) {
+    const scope = `${this.namespace}:${await this.getVersion()}:${prefix}`;
+    await this.unlinkMatching(`${this.escapePattern(scope)}*`);
+  }
+
+  async unlinkMatching(pattern) {
+    let cursor = '0';
+    
+    do {
+      const [next, keys] = await this.client.scan(cursor, 'MATCH', pattern, 'COUNT', this.scanCount);
+      const batch = keys.filter(key => key !== this.versionKey);
+      
+      if (batch.length > 0) {
+        await this.client.unlink(...batch);
+      }
+      
+      cursor = String(next);
+    } while (cursor !== '0');
+  }
+
+  escapePattern(value) {
+    return value.replace(/[*?[\]\\]/g, '\\$&');
+  }
+
+  // Sorted sets scored by expiry; a new prefix leaves sets from older versions to expire
+  tagKey(tag) {
+    return `tagz:${tag}`;
+  }
+
+  async tag(key, tags, ttl) {
+    const now = Date.now();
+    const expiresAt = now + Math.max(ttl, this.tagTTL);
+    
+    await Promise.all(tags.map(async tag => this.client.eval(
+      'redis.call("zadd", KEYS[1], ARGV[1], ARGV[2]) ' +
+      'redis.call("zremrangebyscore", KEYS[1], "-inf", ARGV[3]) ' +
+      'local last = redis.call("zrange", KEYS[1], -1, -1, "withscores") ' +
+      'return redis.call("pexpireat", KEYS[1], last[2])',
+      1,
+      await this.key(this.tagKey(tag)),
+      expiresAt,
+      key,
+      now
+    )));
+  }
+
+  async getTaggedKeys(tags) {
+    const now = Date.now();
+    const lists = await Promise.all(tags.map(async tag =>
+      this.client.zrangebyscore(await this.key(this.tagKey(tag)), now, '+inf')
+    ));
+    return [...new Set(lists.flat())];
+  }
+
+  async removeTags(tags) {
+    await Promise.all(tags.map(async tag => this.client.del(await this.key(this.tagKey(tag)))));
+  }
+
+  lockKey(key) {
+    return `${this.namespace}:lock:${key}`;
+  }
+
+  // A per-key counter, so a later holder always has a larger (fencing) token
+  async acquireLock(key, ttl) {
+    const fenceKey = `${this.lockKey(key)}:fence`;
+    const token = String(await this.client.incr(fenceKey));
+    await this.client.pexpire(fenceKey, this.fenceTTL);
+    
+    const acquired = await this.client.set(this.lockKey(key), token, 'PX', ttl, 'NX');
+    return acquired === 'OK' ? token : null;
+  }
+
+  async holdsLock(key, token) {
+    return (await this.client.get(this.lockKey(key))) === token;
+  }
+
+  // Atomic, so a lapsed holder cannot write after a newer one
+  async setFenced(key, value, ttl, token) {
+    const written = await this.client.eval(
+      'if tonumber(ARGV[1]) < tonumber(redis.call("get", KEYS[2]) or "0") then return 0 end ' +
+      'redis.call("set", KEYS[2], ARGV[1], "PX", ARGV[4]) ' +
+      'redis.call("setex", KEYS[1], ARGV[2], ARGV[3]) ' +
+      'return 1',
+      2,
+      await this.key(key),
+      `${this.lockKey(key)}:written`,
+      token,
+      Math.ceil(ttl / 1000),
+      await this.codec.encode(value),
+      this.fenceTTL
+    );
+    return written === 1;
+  }
+
+  async releaseLock(key, token) {
+    await this.client.eval(
+      'if redis.call("get", KEYS[1]) == ARGV[1] then return redis.call("del", KEYS[1]) else return 0 end',
+      1,
+      this.lockKey(key),
+      token
+    );
   }
 }
 
-class CircuitBreaker {
+// Keeps serialized copies, as a round trip through Redis would
+class InProcessAdapter extends StorageAdapter {
   constructor(options = {}) {
-    this.failureThreshold = options.failureThreshold || 5;
-    this.resetTimeout = options.resetTimeout || 60000;
-    this.states = new Map();
+    super({ name: 'in-process', ...options });
+    this.store = new Map();
+    this.tags = new Map();
+    this.locks = new Map();
+    this.fences = new Map();
+    this.writtenFences = new Map();
+    this.supportsLocks = true;
   }
 
-  canRequest(url) {
-    const state = this.states.get(url) || { failures: 0, lastFailure: 0, state: 'CLOSED' };
+  async get(key) {
+    const record = this.store.get(key);
+    if (!record) return null;
     
-    if (state.state === 'OPEN') {
-      if (Date.now() - state.lastFailure > this.resetTimeout) {
-        state.state = 'HALF_OPEN';
-        state.failures = 0;
-      } else {
-        return false;
+    if (Date.now() > record.expiry) {
+      this.store.delete(key);
+      return null;
+    }
+    
+    return this.codec.decode(record.value);
+  }
+
+  async set(key, value, ttl) {
+    this.store.set(key, {
+      value: await this.codec.encode(value),
+      expiry: Date.now() + ttl
+    });
+  }
+
+  async del(key) {
+    this.store.delete(key);
+  }
+
+  async clear() {
+    this.store.clear();
+    this.tags.clear();
+  }
+
+  async clearPrefix(prefix) {
+    Array.from(this.store.keys())
+      .filter(key => key.startsWith(prefix))
+      .forEach(key => this.store.delete(key));
+  }
+
+  async tag(key, tags) {
+    tags.forEach(tag => {
+      if (!this.tags.has(tag)) {
+        this.tags.set(tag, new Set());
       }
+      this.tags.get(tag).add(key);
+    });
+  }
+
+  async getTaggedKeys(tags) {
+    return [...new Set(tags.flatMap(tag => [...(this.tags.get(tag) || [])]))];
+  }
+
+  async removeTags(tags) {
+    tags.forEach(tag => this.tags.delete(tag));
+  }
+
+  async acquireLock(key, ttl) {
+    const token = String((this.fences.get(key) || 0) + 1);
+    this.fences.set(key, Number(token));
+    
+    const lock = this.locks.get(key);
+    if (lock && Date.now() < lock.expiry) return null;
+    
+    this.locks.set(key, { token, expiry: Date.now() + ttl });
+    return token;
+  }
+
+  async holdsLock(key, token) {
+    const lock = this.locks.get(key);
+    return Boolean(lock) && lock.token === token && Date.now() < lock.expiry;
+  }
+
+  async releaseLock(key, token) {
+    if (await this.holdsLock(key, token)) {
+      this.locks.delete(key);
     }
+  }
+
+  async setFenced(key, value, ttl, token) {
+    if (Number(token) < (this.writtenFences.get(key) || 0)) return false;
     
+    this.writtenFences.set(key, Number(token));
+    await this.set(key, value, ttl);
     return true;
   }
+}
 
-  recordFailure(url) {
-    let state = this.states.get(url);
+class IndexedDBAdapter extends StorageAdapter {
+  constructor(options = {}) {
+    super({ name: 'indexeddb', ...options });
+    this.dbName = options.dbName || 'hybrid-cache';
+    this.storeName = options.storeName || 'entries';
+    this.db = null;
+  }
+
+  open() {
+    if (!this.db) {
+      this.db = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(this.storeName);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    
+    return this.db;
+  }
+
+  async transaction(mode, operation) {
+    const db = await this.open();
+    
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(this.storeName, mode);
+      const request = operation(tx.objectStore(this.storeName));
+      tx.oncomplete = () => resolve(request.result);
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  async get(key) {
+    const record = await this.transaction('readonly', store => store.get(key));
+    if (!record) return null;
+    
+    if (Date.now() > record.expiry) {
+      await this.del(key);
+      return null;
+    }
+    
+    return record.value;
+  }
+
+  async set(key, value, ttl) {
+    await this.transaction('readwrite', store =>
+      store.put({ value, expiry: Date.now() + ttl }, key)
+    );
+  }
+
+  async del(key) {
+    await this.transaction('readwrite', store => store.delete(key));
+  }
+
+  async clear() {
+    await this.transaction('readwrite', store => store.clear());
+  }
+
+  async clearPrefix(prefix) {
+    await this.transaction('readwrite', store =>
+      store.delete(IDBKeyRange.bound(prefix, `${prefix}\uffff`))
+    );
+  }
+}
+
+class FileSystemAdapter extends StorageAdapter {
+  constructor(options = {}) {
+    super({ name: 'filesystem', ...options });
+    // Loaded lazily so this module still imports in browsers
+    this.ready = Promise.all([import('fs'), import('path')]).then(([fs, path]) => {
+      this.fs = fs.promises;
+      this.path = path.default || path;
+    });
+    this.directory = options.directory || './.cache';
+  }
+
+  filePath(key) {
+    return this.path.join(this.directory, `${Buffer.from(key).toString('base64url')}.json`);
+  }
+
+  async get(key) {
+    let record;
+    await this.ready;
+    
+    try {
+      record = await this.codec.decode(await this.fs.readFile(this.filePath(key), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
     
-    if (!state) {
-      state = { failures: 0, lastFailure: 0, state: 'CLOSED' };
+    if (Date.now() > record.expiry) {
+      await this.del(key);
+      return null;
     }
     
-    state.failures++;
-    state.lastFailure = Date.now();
+    return record.value;
+  }
+
+  async set(key, value, ttl) {
+    await this.ready;
+    const file = this.filePath(key);
+    const tempFile = `${file}.${process.pid}.tmp`;
+    
+    await this.fs.mkdir(this.directory, { recursive: true });
+    await this.fs.writeFile(tempFile, await this.codec.encode({ value, expiry: Date.now() + ttl }));
+    await this.fs.rename(tempFile, file);
+  }
+
+  async del(key) {
+    await this.ready;
+    await this.fs.rm(this.filePath(key), { force: true });
+  }
+
+  async clear() {
+    await this.ready;
+    await this.fs.rm(this.directory, { recursive: true, force: true });
+  }
+
+  async clearPrefix(prefix) {
+    let files;
+    await this.ready;
     
-    if (state.failures >= this.failureThreshold) {
-      state.state = 'OPEN';
+    try {
+      files = await this.fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
     }
     
-    this.states.set(url, state);
+    await Promise.all(files
+      .filter(file => file.endsWith('.json'))
+      .filter(file => Buffer.from(file.slice(0, -5), 'base64url').toString().startsWith(prefix))
+      .map(file => this.fs.rm(this.path.join(this.directory, file), { force: true })));
   }
+}
 
-  recordSuccess(url) {
-    const state = this.states.get(url);
-    if (state) {
-      state.failures = 0;
-      state.state = 'CLOSED';
-      this.states.set(url, state);
+// Message format v1: { v, id, origin, type, payload, sentAt }
+class InvalidationBus {
+  constructor(transport, options = {}) {
+    this.transport = transport;
+    this.serializer = options.serializer || new JSONCodec();
+    this.version = 1;
+    this.nodeId = options.nodeId || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    this.sequence = 0;
+    this.seenIds = new Set();
+    this.seenLimit = options.seenLimit || 1000;
+    this.listeners = new Set();
+    this.transportSubscription = transport.subscribe(raw => this.receive(raw));
+  }
+
+  publish(type, payload = {}) {
+    const message = {
+      v: this.version,
+      id: `${this.nodeId}:${++this.sequence}`,
+      origin: this.nodeId,
+      type,
+      payload,
+      sentAt: Date.now()
+    };
+    
+    return Promise.resolve()
+      .then(() => this.transport.publish(this.serializer.encode(message)))
+      .catch(error => {
+        console.warn('Invalidation publish failed:', error);
+      });
+  }
+
+  receive(raw) {
+    const message = this.serializer.decode(raw);
+    
+    if (!message || typeof message !== 'object') {
+      console.warn('Dropping malformed invalidation message');
+      return;
+    }
+    
+    if (message.v !== this.version) {
+      console.warn(`Dropping invalidation message with unsupported version ${message.v}`);
+      return;
+    }
+    
+    if (message.origin === this.nodeId || this.seenIds.has(message.id)) return;
+    
+    this.seenIds.add(message.id);
+    if (this.seenIds.size > this.seenLimit) {
+      this.seenIds.delete(this.seenIds.values().next().value);
     }
+    
+    this.listeners.forEach(listener => {
+      try {
+        listener(message);
+      } catch (error) {
+        console.warn('Invalidation listener failed:', error);
+      }
+    });
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  async close() {
+    this.listeners.clear();
+    
+    const unsubscribe = await this.transportSubscription;
+    if (typeof unsubscribe === 'function') {
+      await unsubscribe();
+    }
+  }
+}
+
+// Pub/sub needs a dedicated subscriber connection, e.g. redisClient.duplicate()
+class RedisPubSubTransport {
+  constructor(options = {}) {
+    this.publisher = options.publisher;
+    this.subscriber = options.subscriber;
+    this.channel = options.channel || 'hybrid-cache:invalidation';
+  }
+
+  async publish(message) {
+    await this.publisher.publish(this.channel, message);
+  }
+
+  async subscribe(handler) {
+    const listener = (channel, message) => {
+      if (channel === this.channel) {
+        handler(message);
+      }
+    };
+    
+    this.subscriber.on('message', listener);
+    await this.subscriber.subscribe(this.channel);
+    
+    return async () => {
+      this.subscriber.removeListener('message', listener);
+      await this.subscriber.unsubscribe(this.channel);
+    };
   }
 }
+
+// Share one instance between caches to simulate several nodes in one process
+class LocalTransport {
+  constructor() {
+    this.handlers = new Set();
+  }
+
+  publish(message) {
+    this.handlers.forEach(handler => queueMicrotask(() => handler(message)));
+  }
+
+  subscribe(handler) {
+    this.handlers.add(handler);
+    return () => this.handlers.delete(handler);
+  }
+}
+
+export {
+  HybridCache,
+  IntelligentAPICache,
+  CircuitBreaker,
+  GraphQLNormalizer,
+  StorageAdapter,
+  RedisAdapter,
+  InProcessAdapter,
+  IndexedDBAdapter,
+  FileSystemAdapter,
+  JSONCodec,
+  CodecPipeline,
+  CompressionCodec,
+  EncryptionCodec,
+  InvalidationBus,
+  RedisPubSubTransport,
+  LocalTransport
+};
@@ -1,15 +1,33 @@
 
 import crypto from 'crypto';
+import { promises as fs, createReadStream } from 'fs';
+import path from 'path';
+import { Readable, pipeline } from 'stream';
 
 class CacheHeaderManager {
-  constructor() {
+  constructor(options = {}) {
     this.etagCache = new Map();
+    this.rules = [];
+    this.ruleOrder = options.ruleOrder || 'first-match';
+    this.environment = options.environment || process.env.NODE_ENV || 'development';
+    this.debugHeader = options.debugHeader || null;
+    this.hashLength = options.hashLength || 8;
+    this.assetPrefix = options.assetPrefix || '/static';
+    this.manifest = null;
+    this.etagMode = options.etagMode || 'stat';
+    this.maxRanges = options.maxRanges || 16;
     this.config = {
       static: {
         maxAge: 31536000, // 1 year
         immutable: true,
         vary: 'Accept-Encoding'
       },
+      // Non-fingerprinted assets may change on any deploy
+      revalidate: {
+        maxAge: 60,
+        mustRevalidate: true,
+        vary: 'Accept-Encoding'
+      },
       dynamic: {
         maxAge: 3600, // 1 hour
         staleWhileRevalidate: 86400, // 24 hours
@@ -26,23 +44,186 @@ class CacheHeaderManager {
         private: true
       }
     };
+    
+    if (options.rules) {
+      this.loadRules(options.rules);
+    }
   }
 
-  setHeaders(res, type, content, options = {}) {
-    const config = { ...this.config[type], ...options };
+  // Rules map requests and responses to a policy, either a name from
+  // this.config or an inline config (which may extend one by name):
+  //   { name: 'assets', path: '/static/**', methods: ['GET'],
+  //     contentTypes: ['image/*'], status: [200, '3xx'],
+  //     policy: { extends: 'static', maxAge: 86400 },
+  //     environments: { development: 'private' } }
+  // path is a glob (* within a segment, ** across segments) or a RegExp; in
+  // JSON a RegExp is written { "regex": "...", "flags": "i" }. An environment
+  // entry replaces the policy there, or disables the rule when false.
+  // Accepts an array of rules, { ruleOrder, rules }, or either as JSON text.
+  loadRules(source) {
+    const parsed = typeof source === 'string' ? JSON.parse(source) : source;
+    const definition = Array.isArray(parsed) ? { rules: parsed } : parsed;
     
-    // Generate ETag for content-based caching
-    if (content && !config.noCache) {
-      const etag = this.generateETag(content);
-      res.setHeader('ETag', etag);
+    if (definition.ruleOrder) {
+      this.ruleOrder = definition.ruleOrder;
+    }
+    
+    const offset = this.rules.length;
+    this.rules.push(...definition.rules.map((rule, index) => this.compileRule(rule, offset + index)));
+    
+    return this.rules;
+  }
+
+  async loadRulesFile(filePath) {
+    return this.loadRules(await fs.readFile(filePath, 'utf8'));
+  }
+
+  compileRule(rule, index) {
+    if (!rule.policy) {
+      throw new Error(`Cache rule ${rule.name || index} has no policy`);
+    }
+    
+    const path = rule.path ? this.compilePathPattern(rule.path) : null;
+    const constraints = [path, rule.methods, rule.contentTypes, rule.status].filter(Boolean).length;
+    
+    return {
+      ...rule,
+      name: rule.name || `rule-${index}`,
+      index,
+      pathMatcher: path,
+      methods: rule.methods && rule.methods.map(method => method.toUpperCase()),
+      status: rule.status && [].concat(rule.status).map(String),
+      // Literal path characters first, then the number of constraints
+      specificity: [path ? path.literalLength : 0, constraints]
+    };
+  }
+
+  compilePathPattern(pattern) {
+    if (pattern instanceof RegExp) {
+      return { regex: pattern, literalLength: 0 };
+    }
+    
+    if (typeof pattern === 'object') {
+      return { regex: new RegExp(pattern.regex, pattern.flags), literalLength: 0 };
+    }
+    
+    const source = pattern
+      .split(/(\*\*|\*|\?)/)
+      .map(part => {
+        const wildcards = { '**': '.*', '*': '[^/]*', '?': '[^/]' };
+        return wildcards[part] || part.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+      })
+      .join('');
+    
+    return {
+      regex: new RegExp(`^${source}$`),
+      literalLength: pattern.replace(/\*|\?/g, '').length
+    };
+  }
+
+  // context: { method, path, contentType, status }. Fields left undefined
+  // are not checked, so a rule can be matched before the response exists.
+  matchRule(context) {
+    const candidates = this.rules.filter(rule =>
+      this.getRulePolicy(rule) !== false && this.ruleMatches(rule, context)
+    );
+    
+    if (this.ruleOrder === 'specificity') {
+      candidates.sort((a, b) =>
+        b.specificity[0] - a.specificity[0] ||
+        b.specificity[1] - a.specificity[1] ||
+        a.index - b.index
+      );
+    }
+    
+    return candidates[0] || null;
+  }
+
+  ruleMatches(rule, { method, path, contentType, status }) {
+    if (rule.pathMatcher && path !== undefined && !rule.pathMatcher.regex.test(path)) {
+      return false;
+    }
+    
+    if (rule.methods && method !== undefined && !rule.methods.includes(method.toUpperCase())) {
+      return false;
+    }
+    
+    if (rule.contentTypes && contentType !== undefined) {
+      const mediaType = String(contentType).split(';')[0].trim().toLowerCase();
+      const matches = rule.contentTypes.some(type =>
+        type.endsWith('/*') ? mediaType.startsWith(type.slice(0, -1)) : mediaType === type
+      );
+      if (!matches) return false;
+    }
+    
+    if (rule.status && status !== undefined) {
+      const code = String(status);
+      const matches = rule.status.some(expected =>
+        /^\dxx$/i.test(expected) ? code[0] === expected[0] : code === expected
+      );
+      if (!matches) return false;
+    }
+    
+    return true;
+  }
+
+  getRulePolicy(rule) {
+    const overrides = rule.environments || {};
+    return overrides[this.environment] !== undefined ? overrides[this.environment] : rule.policy;
+  }
+
+  // Resolves a policy name or inline config to a full config object
+  resolvePolicy(policy) {
+    if (typeof policy === 'string') {
+      if (!this.config[policy]) {
+        throw new Error(`Unknown cache policy: ${policy}`);
+      }
+      return this.config[policy];
+    }
+    
+    const { extends: base, ...config } = policy;
+    return base ? { ...this.resolvePolicy(base), ...config } : config;
+  }
+
+  // Applies the matching rule's policy to a response about to be written,
+  // unless the handler already set Cache-Control itself.
+  applyRules(req, res, status, headers = {}) {
+    let outcome = 'none';
+    
+    if (res.getHeader('Cache-Control')) {
+      outcome = 'manual';
+    } else {
+      const rule = this.matchRule({
+        method: req.method,
+        path: req.path || new URL(req.url, 'http://localhost').pathname,
+        contentType: res.getHeader('Content-Type') || headers['Content-Type'] || headers['content-type'] || '',
+        status
+      });
       
-      // Check If-None-Match header
-      if (options.req && options.req.headers['if-none-match'] === etag) {
-        res.writeHead(304);
-        res.end();
-        return false;
+      if (rule) {
+        this.setHeaders(res, this.resolvePolicy(this.getRulePolicy(rule)), null);
+        outcome = rule.name;
       }
     }
+    
+    // A handler that picked a rule itself has already labelled the response
+    if (this.debugHeader && !res.getHeader(this.debugHeader)) {
+      res.setHeader(this.debugHeader, outcome);
+    }
+  }
+
+  // type is a policy name from this.config or a config object
+  setHeaders(res, type, content, options = {}) {
+    const config = { ...(typeof type === 'object' ? type : this.config[type]), ...options };
+    
+    // Generate ETag for content-based caching, unless the caller has one
+    let etag = null;
+    if (!config.noCache) {
+      etag = options.etag || (content ? this.generateETag(content) : null);
+    }
+    if (etag) {
+      res.setHeader('ETag', etag);
+    }
 
     const directives = this.buildCacheDirectives(config);
     res.setHeader('Cache-Control', directives.join(', '));
@@ -56,11 +237,81 @@ class CacheHeaderManager {
       res.setHeader('Last-Modified', options.lastModified.toUTCString());
     }
 
+    // Evaluated last so a 304 still carries the validators and caching headers
+    const status = options.req
+      ? this.evaluatePreconditions(options.req, etag, options.lastModified)
+      : null;
+    
+    if (status) {
+      res.writeHead(status);
+      res.end();
+      return false;
+    }
+
     return true;
   }
 
+  // RFC 9110 section 13.2.2: returns 304 or 412 when a precondition
+  // fails, or null when the request should be served normally.
+  evaluatePreconditions(req, etag, lastModified) {
+    const method = (req.method || 'GET').toUpperCase();
+    const isRead = method === 'GET' || method === 'HEAD';
+    const headers = req.headers || {};
+    const modified = lastModified ? Math.floor(new Date(lastModified).getTime() / 1000) : null;
+    
+    if (headers['if-match'] !== undefined) {
+      if (!this.matchesETag(headers['if-match'], etag, true)) {
+        return 412;
+      }
+    } else if (headers['if-unmodified-since'] !== undefined && modified !== null) {
+      const since = this.parseHttpDate(headers['if-unmodified-since']);
+      if (since !== null && modified > since) {
+        return 412;
+      }
+    }
+    
+    if (headers['if-none-match'] !== undefined) {
+      if (this.matchesETag(headers['if-none-match'], etag, false)) {
+        return isRead ? 304 : 412;
+      }
+    } else if (isRead && headers['if-modified-since'] !== undefined && modified !== null) {
+      const since = this.parseHttpDate(headers['if-modified-since']);
+      if (since !== null && modified <= since) {
+        return 304;
+      }
+    }
+    
+    return null;
+  }
+
+  // If-Match uses strong comparison, If-None-Match weak comparison. '*'
+  // matches any current representation, with or without an ETag; this is
+  // only called for a resource that is being served, so one exists.
+  matchesETag(header, etag, strong) {
+    const candidates = String(header).match(/\*|(?:W\/)?"[^"]*"/g) || [];
+    if (candidates.includes('*')) return true;
+    if (!etag) return false;
+    
+    const isWeak = tag => tag.startsWith('W/');
+    const opaque = tag => (isWeak(tag) ? tag.slice(2) : tag);
+    
+    return candidates.some(candidate => {
+      if (strong && (isWeak(candidate) || isWeak(etag))) return false;
+      return opaque(candidate) === opaque(etag);
+    });
+  }
+
+  // HTTP dates have one-second precision; invalid dates are ignored.
+  parseHttpDate(value) {
+    const time = Date.parse(value);
+    return Number.isNaN(time) ? null : Math.floor(time / 1000);
+  }
+
+  // A policy without maxAge (an inline rule policy, say) revalidates
+  // every time rather than rendering max-age=undefined.
   buildCacheDirectives(config) {
     const directives = [];
+    const maxAge = config.maxAge ?? 0;
     
     if (config.private) {
       directives.push('private');
@@ -68,10 +319,10 @@ class CacheHeaderManager {
       directives.push('public');
     }
 
-    if (config.noCache || config.maxAge === 0) {
+    if (config.noCache || maxAge === 0) {
       directives.push('no-cache', 'must-revalidate');
     } else {
-      directives.push(`max-age=${config.maxAge}`);
+      directives.push(`max-age=${maxAge}`);
       
       if (config.staleWhileRevalidate) {
         directives.push(`stale-while-revalidate=${config.staleWhileRevalidate}`);
@@ -84,6 +335,10 @@ class CacheHeaderManager {
       if (config.immutable) {
         directives.push('immutable');
       }
+      
+      if (config.mustRevalidate) {
+        directives.push('must-revalidate');
+      }
     }
 
     if (config.noStore) {
@@ -109,46 +364,301 @@ class CacheHeaderManager {
         options.req = req;
         return this.setHeaders(res, type, content, options);
       };
+      
+      // Node calls writeHead for implicit headers too, so this sees every response
+      if (this.rules.length > 0) {
+        const writeHead = res.writeHead;
+        res.writeHead = (statusCode, ...args) => {
+          const headers = args.find(arg => arg && typeof arg === 'object' && !Array.isArray(arg));
+          this.applyRules(req, res, statusCode, headers);
+          return writeHead.call(res, statusCode, ...args);
+        };
+      }
+      
       next();
     };
   }
 
+  // Copies every file under rootPath to a content-addressed name beside it
+  // (app.js -> app.3f9a1c2b.js) and writes { logicalName: fingerprinted }
+  // to manifestPath. Older copies are kept for pages still referencing
+  // them; names that already carry a hash are not fingerprinted again, and
+  // neither are pages (options.exclude), which are entry points.
+  async buildManifest(rootPath, options = {}) {
+    const manifestPath = options.manifestPath || path.join(rootPath, 'manifest.json');
+    const exclude = options.exclude || ['.html'];
+    const manifest = {};
+    
+    const walk = async directory => {
+      const entries = await fs.readdir(directory, { withFileTypes: true });
+      
+      for (const entry of entries) {
+        const filePath = path.join(directory, entry.name);
+        
+        if (entry.isDirectory()) {
+          await walk(filePath);
+          continue;
+        }
+        
+        const ext = path.extname(entry.name);
+        const skip = !entry.isFile() ||
+          exclude.includes(ext.toLowerCase()) ||
+          path.resolve(filePath) === path.resolve(manifestPath) ||
+          this.hasFingerprint(entry.name);
+        
+        if (skip) continue;
+        
+        const content = await fs.readFile(filePath);
+        const hash = crypto.createHash('sha256').update(content).digest('hex').slice(0, this.hashLength);
+        const fingerprinted = `${path.basename(entry.name, ext)}.${hash}${ext}`;
+        
+        await fs.copyFile(filePath, path.join(directory, fingerprinted));
+        
+        const logical = path.relative(rootPath, filePath).split(path.sep).join('/');
+        manifest[logical] = path.posix.join(path.posix.dirname(logical), fingerprinted);
+      }
+    };
+    
+    await walk(rootPath);
+    await fs.writeFile(manifestPath, JSON.stringify(manifest, null, 2));
+    
+    this.manifest = manifest;
+    return manifest;
+  }
+
+  async loadManifest(manifestPath) {
+    this.manifest = JSON.parse(await fs.readFile(manifestPath, 'utf8'));
+    return this.manifest;
+  }
+
+  // For templates: assetUrl('app.js') -> '/static/app.3f9a1c2b.js'. Names
+  // missing from the manifest resolve to their plain, revalidated URL.
+  assetUrl(logicalName) {
+    const name = logicalName.replace(/^\/+/, '');
+    const resolved = (this.manifest && this.manifest[name]) || name;
+    return `${this.assetPrefix.replace(/\/+$/, '')}/${resolved}`;
+  }
+
+  // Only a name shape; used to avoid hashing build outputs twice
+  hasFingerprint(fileName) {
+    return new RegExp(`\\.[0-9a-f]{${this.hashLength}}(\\.[^./]+)?$`).test(fileName);
+  }
+
+  // Takes the request path and, with a manifest loaded, compares it with
+  // the URLs assetUrl hands out, so a name that merely looks hashed
+  // (report.20240115.csv) is not cached for a year. Without one the name
+  // shape is all there is to go on.
+  isFingerprinted(urlPath) {
+    if (this.manifest) {
+      const prefix = this.assetPrefix.replace(/\/+$/, '');
+      return Object.values(this.manifest).some(name => `${prefix}/${name}` === urlPath);
+    }
+    
+    return this.hasFingerprint(urlPath.split('/').pop());
+  }
+
   
+  // Files are streamed, never buffered, and byte ranges are honoured so
+  // media can be seeked. ETags come from inode, size and mtime, or with
+  // etagMode 'content' from a hash of the body kept in etagCache until the
+  // file's mtime or size changes.
   staticFileHandler(rootPath) {
-    const fs = require('fs').promises;
-    const path = require('path');
-    
     return async (req, res) => {
+      let filePath;
+      let stats;
+      let contentType;
+      let etag;
+      
       try {
-        const filePath = path.join(rootPath, req.path);
-        const stats = await fs.stat(filePath);
+        filePath = path.join(rootPath, req.path);
+        stats = await fs.stat(filePath);
         
         if (!stats.isFile()) {
           res.status(404).end();
           return;
         }
 
-        const content = await fs.readFile(filePath);
         const ext = path.extname(filePath).toLowerCase();
+        contentType = this.getMimeType(ext);
+        etag = await this.getFileETag(filePath, stats);
         
-        let cacheType = 'static';
+        // Rules take precedence; the extension defaults apply otherwise
+        const rule = this.matchRule({
+          method: req.method,
+          path: req.path,
+          contentType: this.getMimeType(ext),
+          status: 200
+        });
+        
+        let cacheType = 'revalidate';
         if (ext === '.html') cacheType = 'dynamic';
         if (ext === '.json') cacheType = 'api';
+        if (this.isFingerprinted(req.path)) {
+          cacheType = 'static';
+        }
+        if (rule) cacheType = this.resolvePolicy(this.getRulePolicy(rule));
+        
+        if (rule && this.debugHeader) {
+          res.setHeader(this.debugHeader, rule.name);
+        }
 
-        const shouldSendContent = res.setCacheHeaders(cacheType, content, {
-          lastModified: stats.mtime
+        const shouldSendContent = res.setCacheHeaders(cacheType, null, {
+          lastModified: stats.mtime,
+          etag
         });
 
-        if (shouldSendContent) {
-          res.setHeader('Content-Type', this.getMimeType(ext));
-          res.end(content);
-        }
+        if (!shouldSendContent) return;
       } catch (error) {
         res.status(404).end();
+        return;
+      }
+      
+      res.setHeader('Accept-Ranges', 'bytes');
+      
+      const ranges = req.method === 'GET' && req.headers.range && this.ifRangeMatches(req, etag, stats.mtime)
+        ? this.parseRange(req.headers.range, stats.size)
+        : null;
+      
+      if (ranges && ranges.length === 0) {
+        res.setHeader('Content-Range', `bytes */${stats.size}`);
+        res.writeHead(416);
+        res.end();
+        return;
+      }
+      
+      if (ranges) {
+        this.sendRanges(res, filePath, ranges, stats.size, contentType);
+        return;
       }
+      
+      res.setHeader('Content-Type', contentType);
+      res.setHeader('Content-Length', stats.size);
+      res.writeHead(200);
+      
+      if (req.method === 'HEAD') {
+        res.end();
+        return;
+      }
+      
+      this.streamTo(res, createReadStream(filePath));
     };
   }
 
+  async getFileETag(filePath, stats) {
+    if (this.etagMode !== 'content') {
+      return `"${stats.ino.toString(16)}-${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`;
+    }
+    
+    const cached = this.etagCache.get(filePath);
+    if (cached && cached.mtimeMs === stats.mtimeMs && cached.size === stats.size) {
+      return cached.etag;
+    }
+    
+    const hash = crypto.createHash('md5');
+    for await (const chunk of createReadStream(filePath)) {
+      hash.update(chunk);
+    }
+    
+    const etag = `"${hash.digest('hex')}"`;
+    this.etagCache.set(filePath, { mtimeMs: stats.mtimeMs, size: stats.size, etag });
+    return etag;
+  }
+
+  // A Range is only honoured while If-Range still names the current
+  // representation: by strong ETag, or by exact Last-Modified date.
+  ifRangeMatches(req, etag, lastModified) {
+    const condition = req.headers['if-range'];
+    if (condition === undefined) return true;
+    
+    if (/^(W\/)?"/.test(condition.trim())) {
+      return this.matchesETag(condition, etag, true);
+    }
+    
+    const since = this.parseHttpDate(condition);
+    return since !== null && since === Math.floor(new Date(lastModified).getTime() / 1000);
+  }
+
+  // Returns null when the header should be ignored (and the whole file
+  // sent), [] when no range is satisfiable, else [{ start, end }] inclusive.
+  parseRange(header, size) {
+    const match = /^bytes=(.+)$/i.exec(String(header).trim());
+    if (!match) return null;
+    
+    const specs = match[1].split(',').map(spec => spec.trim());
+    if (specs.length > this.maxRanges) return null;
+    
+    const ranges = [];
+    
+    for (const spec of specs) {
+      const parts = /^(\d*)-(\d*)$/.exec(spec);
+      if (!parts || (parts[1] === '' && parts[2] === '')) return null;
+      
+      let start;
+      let end;
+      
+      if (parts[1] === '') {
+        // Suffix range: the last N bytes; the last zero bytes are unsatisfiable
+        if (Number(parts[2]) === 0) continue;
+        start = Math.max(0, size - Number(parts[2]));
+        end = size - 1;
+      } else {
+        start = Number(parts[1]);
+        end = parts[2] === '' ? size - 1 : Math.min(Number(parts[2]), size - 1);
+        if (parts[2] !== '' && Number(parts[2]) < start) return null;
+      }
+      
+      if (start < size && start <= end) {
+        ranges.push({ start, end });
+      }
+    }
+    
+    return ranges;
+  }
+
+  sendRanges(res, filePath, ranges, size, contentType) {
+    if (ranges.length === 1) {
+      const [{ start, end }] = ranges;
+      res.setHeader('Content-Type', contentType);
+      res.setHeader('Content-Range', `bytes ${start}-${end}/${size}`);
+      res.setHeader('Content-Length', end - start + 1);
+      res.writeHead(206);
+      this.streamTo(res, createReadStream(filePath, { start, end }));
+      return;
+    }
+    
+    const boundary = crypto.randomBytes(16).toString('hex');
+    const partHeader = ({ start, end }) =>
+      `\r\n--${boundary}\r\nContent-Type: ${contentType}\r\nContent-Range: bytes ${start}-${end}/${size}\r\n\r\n`;
+    const closing = `\r\n--${boundary}--\r\n`;
+    
+    const length = ranges.reduce(
+      (total, range) => total + Buffer.byteLength(partHeader(range)) + range.end - range.start + 1,
+      Buffer.byteLength(closing)
+    );
+    
+    async function* parts() {
+      for (const range of ranges) {
+        yield partHeader(range);
+        yield* createReadStream(filePath, range);
+      }
+      yield closing;
+    }
+    
+    res.setHeader('Content-Type', `multipart/byteranges; boundary=${boundary}`);
+    res.setHeader('Content-Length', length);
+    res.writeHead(206);
+    this.streamTo(res, Readable.from(parts()));
+  }
+
+  // Headers are gone by now, so a read error can only cut the response short
+  streamTo(res, stream) {
+    pipeline(stream, res, error => {
+      if (error && error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+        console.warn('Static file stream failed:', error.message);
+      }
+    });
+  }
+
   getMimeType(ext) {
     const mimeTypes = {
       '.html': 'text/html; charset=utf-8',
@@ -160,7 +670,10 @@ class CacheHeaderManager {
       '.jpeg': 'image/jpeg',
       '.gif': 'image/gif',
       '.svg': 'image/svg+xml',
-      '.webp': 'image/webp'
+      '.webp': 'image/webp',
+      '.mp4': 'video/mp4',
+      '.webm': 'video/webm',
+      '.mp3': 'audio/mpeg'
     };
     
     return mimeTypes[ext] || 'application/octet-stream';
@@ -0,0 +1,74 @@
+// <cached-fetch src="/api/items" poll-interval="30000"> keeps its state in
+// sync with an IntelligentAPICache subscription. Each state is exposed as
+// the element's state property and status attribute, dispatched as a
+// cache-state event, and passed to the render property if one is set:
+//
+//   element.render = ({ status, data }) => status === 'loading' ? 'Loading…' : list(data);
+function defineCachedFetchElement(api, tagName = 'cached-fetch', options = {}) {
+  class CachedFetchElement extends HTMLElement {
+    static get observedAttributes() {
+      return ['src', 'poll-interval'];
+    }
+
+    constructor() {
+      super();
+      this.state = { status: 'loading', data: undefined, error: null };
+      this.render = null;
+      this.unsubscribe = null;
+    }
+
+    connectedCallback() {
+      this.start();
+    }
+
+    disconnectedCallback() {
+      this.stop();
+    }
+
+    attributeChangedCallback() {
+      if (this.isConnected) {
+        this.stop();
+        this.start();
+      }
+    }
+
+    start() {
+      const url = this.getAttribute('src');
+      if (!url) return;
+
+      const subscribeOptions = {
+        ...options,
+        pollInterval: Number(this.getAttribute('poll-interval')) || options.pollInterval || 0
+      };
+
+      this.unsubscribe = api.subscribe(url, subscribeOptions, state => {
+        this.state = state;
+        this.setAttribute('status', state.status);
+        this.dispatchEvent(new CustomEvent('cache-state', { detail: state }));
+
+        if (typeof this.render === 'function') {
+          const content = this.render(state);
+          this.replaceChildren(...(content === null || content === undefined ? [] : [content]));
+        }
+      });
+    }
+
+    stop() {
+      this.unsubscribe?.();
+      this.unsubscribe = null;
+    }
+
+    refetch() {
+      const url = this.getAttribute('src');
+      return api.cachedFetch(url, { ...options, forceRefresh: true });
+    }
+  }
+
+  if (!customElements.get(tagName)) {
+    customElements.define(tagName, CachedFetchElement);
+  }
+
+  return customElements.get(tagName);
+}
+
+export { defineCachedFetchElement };
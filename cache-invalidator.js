@@ -1,11 +1,15 @@
-class CacheInvalidationManager {
+import { CacheEventEmitter } from './cache-metrics.js';
+
+class CacheInvalidationManager extends CacheEventEmitter {
   constructor() {
+    super();
     this.version = '1.0.0';
     this.dependencies = new Map();
     this.invalidationStrategies = new Map();
     this.backgroundSync = new BackgroundSyncManager();
     this.memoryCache = new Map();
     this.hitCount = 0;
+    this.missCount = 0;
     
     this.setupStrategies();
   }
@@ -16,7 +20,8 @@ class CacheInvalidationManager {
         const age = Date.now() - cacheEntry.timestamp;
         return age > (options.maxAge || 3600000);
       },
-      action: 'refresh'
+      action: 'refresh',
+      event: 'expire'
     });
 
     this.invalidationStrategies.set('version-based', {
@@ -41,12 +46,13 @@ class CacheInvalidationManager {
         return cacheEntry.accessCount < minHits && 
                this.getTotalCacheSize() > maxSize;
       },
-      action: 'clear'
+      action: 'clear',
+      event: 'evict'
     });
   }
 
   async invalidateCache(key, strategy = 'time-based', options = {}) {
-    const cacheEntry = await this.getCacheEntry(key);
+    const { entry: cacheEntry, tier } = await this.lookupEntry(key);
     
     if (!cacheEntry) return false;
 
@@ -58,6 +64,11 @@ class CacheInvalidationManager {
     const shouldInvalidate = strategyConfig.check(cacheEntry, options);
     
     if (shouldInvalidate) {
+      this.emit('invalidate', { key, strategy, action: strategyConfig.action });
+      if (strategyConfig.event) {
+        this.emit(strategyConfig.event, { key, tier, size: cacheEntry.size });
+      }
+      
       switch (strategyConfig.action) {
         case 'clear':
           await this.clearCache(key);
@@ -148,6 +159,8 @@ class CacheInvalidationManager {
       await this.setToMemoryCache(key, entry);
     }
     
+    this.emit('set', { key, size: entry.size });
+    
     await this.setToLocalStorage(key, entry);
     
     if (options.persistent) {
@@ -155,23 +168,39 @@ class CacheInvalidationManager {
     }
   }
 
+  // Only reads that answer a caller are counted; strategy checks and
+  // pattern scans use lookupEntry directly.
   async getCacheEntry(key) {
+    const { entry, tier } = await this.lookupEntry(key);
+
+    if (entry) {
+      this.hitCount++;
+      this.emit('hit', { key, tier });
+      entry.accessCount++;
+      await this.updateAccessTime(key, entry);
+    } else {
+      this.missCount++;
+      this.emit('miss', { key });
+    }
+
+    return entry;
+  }
+
+  async lookupEntry(key) {
+    let tier = 'memory';
     let entry = await this.getFromMemoryCache(key);
     
     if (!entry) {
+      tier = 'localStorage';
       entry = await this.getFromLocalStorage(key);
     }
     
     if (!entry && await this.hasIDBEntry(key)) {
+      tier = 'indexeddb';
       entry = await this.getFromIDB(key);
     }
-
-    if (entry) {
-      entry.accessCount++;
-      await this.updateAccessTime(key, entry);
-    }
-
-    return entry;
+    
+    return { entry, tier };
   }
 
   calculateSize(obj) {
@@ -243,9 +272,7 @@ class CacheInvalidationManager {
   }
 
   calculateHitRate() {
-    const totalAccess = Array.from(this.memoryCache.values())
-      .reduce((sum, entry) => sum + entry.accessCount, 0);
-    
+    const totalAccess = this.hitCount + this.missCount;
     return totalAccess > 0 ? this.hitCount / totalAccess : 0;
   }
 
@@ -269,6 +296,7 @@ class CacheInvalidationManager {
       localStorage.setItem(`cache_${key}`, JSON.stringify(entry));
     } catch (error) {
       console.warn('LocalStorage set failed:', error.message);
+      this.emit('error', { key, tier: 'localStorage', operation: 'set', error });
     }
   }
 
@@ -287,6 +315,7 @@ class CacheInvalidationManager {
       localStorage.removeItem(`cache_${key}`);
     } catch (error) {
       console.warn('LocalStorage remove failed:', error.message);
+      this.emit('error', { key, tier: 'localStorage', operation: 'del', error });
     }
   }
 
@@ -0,0 +1,199 @@
+class CacheEventEmitter {
+  constructor() {
+    this.listeners = new Map();
+  }
+
+  // Listeners are called with (payload, eventName). '*' receives every event.
+  on(event, listener) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, new Set());
+    }
+
+    this.listeners.get(event).add(listener);
+    return () => this.off(event, listener);
+  }
+
+  off(event, listener) {
+    const listeners = this.listeners.get(event);
+    if (listeners) {
+      listeners.delete(listener);
+    }
+  }
+
+  emit(event, payload = {}) {
+    const targets = [
+      ...(this.listeners.get(event) || []),
+      ...(this.listeners.get('*') || [])
+    ];
+
+    targets.forEach(listener => {
+      try {
+        listener(payload, event);
+      } catch (error) {
+        console.warn(`Listener for ${event} failed:`, error);
+      }
+    });
+  }
+}
+
+class CacheMetrics {
+  constructor(options = {}) {
+    this.buckets = options.buckets || [0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1];
+    this.prefixOf = options.prefixOf || (key => String(key).split(':')[0]);
+    this.counters = new Map();
+    this.histograms = new Map();
+    this.sources = new Map();
+  }
+
+  // Counts every event a cache emits and times its 'latency' events. Attach
+  // an IntelligentAPICache and its HybridCache separately; events are not
+  // forwarded between them.
+  attach(source, name = source.constructor.name) {
+    const unsubscribe = source.on('*', (payload, event) => {
+      if (event === 'latency') {
+        this.observe(name, payload);
+        return;
+      }
+
+      this.increment('cache_events_total', {
+        cache: name,
+        event,
+        prefix: payload.key !== undefined ? this.prefixOf(payload.key) : '',
+        tier: payload.tier || ''
+      });
+    });
+
+    this.sources.set(name, source);
+
+    return () => {
+      unsubscribe();
+      this.sources.delete(name);
+    };
+  }
+
+  increment(name, labels, value = 1) {
+    const id = `${name}${JSON.stringify(labels)}`;
+    const counter = this.counters.get(id) || { name, labels, value: 0 };
+
+    counter.value += value;
+    this.counters.set(id, counter);
+  }
+
+  observe(cache, { tier, operation, duration }) {
+    const labels = { cache, tier, operation };
+    const id = JSON.stringify(labels);
+    const seconds = duration / 1000;
+
+    if (!this.histograms.has(id)) {
+      this.histograms.set(id, {
+        labels,
+        counts: this.buckets.map(() => 0),
+        sum: 0,
+        count: 0
+      });
+    }
+
+    const histogram = this.histograms.get(id);
+    this.buckets.forEach((bound, index) => {
+      if (seconds <= bound) {
+        histogram.counts[index]++;
+      }
+    });
+    histogram.sum += seconds;
+    histogram.count++;
+  }
+
+  // Gauges are read from each source's memory tier when metrics are
+  // collected, grouped by key prefix.
+  getMemoryGauges() {
+    const gauges = [];
+
+    this.sources.forEach((source, cache) => {
+      if (!(source.memoryCache instanceof Map)) return;
+
+      const byPrefix = new Map();
+      source.memoryCache.forEach((entry, key) => {
+        const prefix = this.prefixOf(key);
+        const totals = byPrefix.get(prefix) || { bytes: 0, entries: 0 };
+        totals.bytes += entry.size || 0;
+        totals.entries++;
+        byPrefix.set(prefix, totals);
+      });
+
+      byPrefix.forEach(({ bytes, entries }, prefix) => {
+        gauges.push({ name: 'cache_memory_bytes', labels: { cache, prefix }, value: bytes });
+        gauges.push({ name: 'cache_memory_entries', labels: { cache, prefix }, value: entries });
+      });
+    });
+
+    return gauges;
+  }
+}
+
+class PrometheusExporter {
+  constructor(metrics) {
+    this.metrics = metrics;
+  }
+
+  render() {
+    const lines = [];
+    const counters = Array.from(this.metrics.counters.values());
+    const gauges = this.metrics.getMemoryGauges();
+
+    lines.push('# HELP cache_events_total Cache events by type, key prefix and tier.');
+    lines.push('# TYPE cache_events_total counter');
+    counters.forEach(({ name, labels, value }) => {
+      lines.push(`${name}${this.formatLabels(labels)} ${value}`);
+    });
+
+    lines.push('# HELP cache_operation_duration_seconds Cache operation latency by tier.');
+    lines.push('# TYPE cache_operation_duration_seconds histogram');
+    this.metrics.histograms.forEach(({ labels, counts, sum, count }) => {
+      this.metrics.buckets.forEach((bound, index) => {
+        lines.push(`cache_operation_duration_seconds_bucket${this.formatLabels({ ...labels, le: bound })} ${counts[index]}`);
+      });
+      lines.push(`cache_operation_duration_seconds_bucket${this.formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`cache_operation_duration_seconds_sum${this.formatLabels(labels)} ${sum}`);
+      lines.push(`cache_operation_duration_seconds_count${this.formatLabels(labels)} ${count}`);
+    });
+
+    ['cache_memory_bytes', 'cache_memory_entries'].forEach(name => {
+      const help = name === 'cache_memory_bytes'
+        ? 'Bytes held in the memory tier by key prefix.'
+        : 'Entries held in the memory tier by key prefix.';
+
+      lines.push(`# HELP ${name} ${help}`);
+      lines.push(`# TYPE ${name} gauge`);
+      gauges
+        .filter(gauge => gauge.name === name)
+        .forEach(({ labels, value }) => lines.push(`${name}${this.formatLabels(labels)} ${value}`));
+    });
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) => {
+      const escaped = String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/"/g, '\\"')
+        .replace(/\n/g, '\\n');
+      return `${name}="${escaped}"`;
+    });
+
+    return `{${pairs.join(',')}}`;
+  }
+
+  middleware() {
+    return (req, res) => {
+      res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+      res.end(this.render());
+    };
+  }
+}
+
+export {
+  CacheEventEmitter,
+  CacheMetrics,
+  PrometheusExporter
+};
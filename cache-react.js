@@ -0,0 +1,127 @@
+import { useCallback, useSyncExternalStore } from 'react';
+
+// One subscription per cache, url and options, shared by every component
+// that reads it and released a little after the last one unmounts.
+const stores = new WeakMap();
+
+class SubscriptionStore {
+  constructor(api, url, options, releaseDelay, onRelease) {
+    this.api = api;
+    this.url = url;
+    this.options = options;
+    this.releaseDelay = releaseDelay;
+    this.onRelease = onRelease;
+    this.state = { status: 'loading', data: undefined, error: null };
+    this.listeners = new Set();
+    this.unsubscribe = null;
+    this.releaseTimer = null;
+    this.ready = null;
+    this.settled = false;
+    this.subscribe = this.subscribe.bind(this);
+    this.getSnapshot = this.getSnapshot.bind(this);
+  }
+
+  start() {
+    clearTimeout(this.releaseTimer);
+    this.releaseTimer = null;
+    if (this.unsubscribe) return;
+
+    let resolveReady;
+    this.settled = false;
+    this.ready = new Promise(resolve => {
+      resolveReady = resolve;
+    });
+
+    this.unsubscribe = this.api.subscribe(this.url, this.options, state => {
+      this.state = state;
+      if (state.status !== 'loading') {
+        this.settled = true;
+        resolveReady();
+      }
+      this.listeners.forEach(listener => listener());
+    });
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener);
+    this.start();
+
+    return () => {
+      this.listeners.delete(listener);
+      if (this.listeners.size === 0) {
+        this.scheduleRelease();
+      }
+    };
+  }
+
+  scheduleRelease() {
+    clearTimeout(this.releaseTimer);
+    this.releaseTimer = setTimeout(() => {
+      if (this.listeners.size > 0) return;
+
+      // A suspended component is waiting on ready; keep the fetch alive
+      if (!this.settled) {
+        this.scheduleRelease();
+        return;
+      }
+
+      this.unsubscribe?.();
+      this.unsubscribe = null;
+      this.onRelease();
+    }, this.releaseDelay);
+  }
+
+  getSnapshot() {
+    return this.state;
+  }
+}
+
+function getStore(api, url, options, releaseDelay) {
+  if (!stores.has(api)) {
+    stores.set(api, new Map());
+  }
+
+  const registry = stores.get(api);
+  const id = `${url} ${api.stableStringify(options)}`;
+
+  if (!registry.has(id)) {
+    registry.set(id, new SubscriptionStore(api, url, options, releaseDelay, () => registry.delete(id)));
+  }
+
+  return registry.get(id);
+}
+
+// Options are those of IntelligentAPICache.subscribe plus suspense, which
+// suspends while loading and throws errors to the nearest error boundary.
+function useCachedFetch(api, url, options = {}) {
+  const { suspense = false, releaseDelay = 5000, ...subscribeOptions } = options;
+  const store = getStore(api, url, subscribeOptions, releaseDelay);
+  const state = useSyncExternalStore(store.subscribe, store.getSnapshot, store.getSnapshot);
+
+  const refetch = useCallback(
+    () => api.cachedFetch(url, { ...store.options, forceRefresh: true }),
+    [api, url, store]
+  );
+
+  if (suspense) {
+    if (state.status === 'loading') {
+      // Suspended components never subscribe, so start the fetch here
+      store.start();
+      store.scheduleRelease();
+      throw store.ready;
+    }
+
+    if (state.status === 'error') {
+      throw state.error;
+    }
+  }
+
+  return {
+    ...state,
+    isLoading: state.status === 'loading',
+    isStale: state.status === 'stale',
+    refetch
+  };
+}
+
+export { useCachedFetch };